@@ -0,0 +1,56 @@
+// api keys let a merchant's backend call the api without a firebase token
+// sent the same way, Authorization: Bearer afk_..., only a sha256 hash of the key is stored
+// the key is random and long, so a plain hash is enough, no salt or slow hash needed
+
+const crypto = require("crypto");
+
+const API_KEY_PREFIX = 'afk_';
+const API_KEY_SCOPES = ['parcels:write', 'parcels:read', 'tracking:read'];
+const MAX_ACTIVE_API_KEYS = 20;
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// returns the key, shown to the user once, and what is stored about it
+const generateApiKey = () => {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return {
+        key,
+        keyHash: hashApiKey(key),
+        // enough to recognise the key in a list
+        keyPrefix: key.slice(0, API_KEY_PREFIX.length + 8)
+    }
+}
+
+// returns { error } or { name, scopes, expiresAt }
+const validateApiKey = (body) => {
+    const name = String(body.name || '').trim();
+    if (!name || name.length > 100) {
+        return { error: 'name is required and at most 100 characters' };
+    }
+
+    const { scopes } = body;
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+        return { error: `scopes must be a list of: ${API_KEY_SCOPES.join(', ')}` };
+    }
+
+    let expiresAt = null;
+    if (body.expiresAt) {
+        expiresAt = new Date(body.expiresAt);
+        if (isNaN(expiresAt) || expiresAt <= new Date()) {
+            return { error: 'expiresAt must be a date in the future' };
+        }
+    }
+
+    return { name, scopes: [...new Set(scopes)], expiresAt };
+}
+
+module.exports = {
+    API_KEY_SCOPES,
+    MAX_ACTIVE_API_KEYS,
+    isApiKey,
+    hashApiKey,
+    generateApiKey,
+    validateApiKey
+}
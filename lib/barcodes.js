@@ -0,0 +1,350 @@
+// barcodes for shipping labels, no image library needed, both return plain geometry
+//   code128Bars(text) -> bar and space widths in modules, code set B
+//   qrMatrix(text)    -> square matrix of booleans (true is dark), byte mode, error correction level M
+
+// code 128 patterns, widths of bar, space, bar, space, bar, space (the stop pattern has a 7th bar)
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+// quiet zones are left to the caller
+const code128Bars = (text) => {
+    const values = [...String(text)].map(char => {
+        const code = char.charCodeAt(0);
+        if (code < 32 || code > 126) {
+            throw new Error(`code 128 set B cannot encode ${JSON.stringify(char)}`);
+        }
+        return code - 32;
+    });
+
+    const checksum = values.reduce((sum, value, i) => sum + value * (i + 1), CODE128_START_B) % 103;
+    return [CODE128_START_B, ...values, checksum, CODE128_STOP]
+        .flatMap(value => [...CODE128_PATTERNS[value]].map(Number));
+}
+
+// qr code, versions 1 to 10 are plenty for a tracking id or a tracking url
+
+// per version at level M: error correction codewords per block, then [block count, data codewords] per group
+const QR_BLOCKS_M = [
+    null,
+    [10, [1, 16]],
+    [16, [1, 28]],
+    [26, [1, 44]],
+    [18, [2, 32]],
+    [24, [2, 43]],
+    [16, [4, 27]],
+    [18, [4, 31]],
+    [22, [2, 38], [2, 39]],
+    [22, [3, 36], [2, 37]],
+    [26, [4, 43], [1, 44]]
+];
+const QR_ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+const QR_MAX_VERSION = 10;
+
+// galois field 256 with the qr polynomial x^8 + x^4 + x^3 + x^2 + 1
+const gfMultiply = (x, y) => {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+const reedSolomonDivisor = (degree) => {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) {
+                result[j] ^= result[j + 1];
+            }
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+const reedSolomonRemainder = (data, divisor) => {
+    const result = new Array(divisor.length).fill(0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+}
+
+const dataCodewordCount = (version) => QR_BLOCKS_M[version].slice(1).reduce((sum, [count, size]) => sum + count * size, 0);
+
+// mode, length, data, terminator and padding, split into blocks with their error correction, interleaved
+const qrCodewords = (bytes, version) => {
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    }
+
+    const capacity = dataCodewordCount(version) * 8;
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; data.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+        data.push(pad);
+    }
+
+    const [ecLength, ...groups] = QR_BLOCKS_M[version];
+    const divisor = reedSolomonDivisor(ecLength);
+    const blocks = [];
+    let offset = 0;
+    for (const [count, size] of groups) {
+        for (let i = 0; i < count; i++) {
+            const block = data.slice(offset, offset + size);
+            blocks.push({ data: block, ec: reedSolomonRemainder(block, divisor) });
+            offset += size;
+        }
+    }
+
+    const result = [];
+    const longest = Math.max(...blocks.map(block => block.data.length));
+    for (let i = 0; i < longest; i++) {
+        blocks.forEach(block => i < block.data.length && result.push(block.data[i]));
+    }
+    for (let i = 0; i < ecLength; i++) {
+        blocks.forEach(block => result.push(block.ec[i]));
+    }
+    return result;
+}
+
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+// 15 bit format info for level M (bits 00) and the mask, bch coded and xor masked
+const qrFormatBits = (mask) => {
+    let remainder = mask;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    return ((mask << 10) | remainder) ^ 0x5412;
+}
+
+// 18 bit version info, only drawn from version 7 on
+const qrVersionBits = (version) => {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    return (version << 12) | remainder;
+}
+
+// the fixed patterns of a version, modules[y][x] and which modules are taken by them
+const qrTemplate = (version) => {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    }
+
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+
+    // finder patterns with their separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    set(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    const positions = QR_ALIGNMENT[version];
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => positions.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+            return;
+        }
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }));
+
+    // reserve the format areas, drawn once the mask is chosen, and the dark module
+    for (let i = 0; i < 9; i++) {
+        set(8, i, false);
+        set(i, 8, false);
+    }
+    for (let i = 0; i < 8; i++) {
+        set(size - 1 - i, 8, false);
+        set(8, size - 1 - i, false);
+    }
+    set(8, size - 8, true);
+
+    if (version >= 7) {
+        const bits = qrVersionBits(version);
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    return { size, modules, reserved };
+}
+
+const drawFormatBits = (modules, mask) => {
+    const size = modules.length;
+    const bits = qrFormatBits(mask);
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+
+    for (let i = 0; i <= 5; i++) {
+        modules[i][8] = bit(i);
+    }
+    modules[7][8] = bit(6);
+    modules[8][8] = bit(7);
+    modules[8][7] = bit(8);
+    for (let i = 9; i < 15; i++) {
+        modules[8][14 - i] = bit(i);
+    }
+    for (let i = 0; i < 8; i++) {
+        modules[8][size - 1 - i] = bit(i);
+    }
+    for (let i = 8; i < 15; i++) {
+        modules[size - 15 + i][8] = bit(i);
+    }
+}
+
+// lower is easier to scan, the four penalty rules of the qr spec
+const qrPenalty = (modules) => {
+    const size = modules.length;
+    let penalty = 0;
+
+    const lines = [
+        ...modules,
+        ...modules.map((row, x) => modules.map(column => column[x]))
+    ];
+    for (const line of lines) {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+                continue;
+            }
+            if (run >= 5) {
+                penalty += run - 2;
+            }
+            run = 1;
+        }
+
+        const pattern = line.map(dark => dark ? '1' : '0').join('');
+        penalty += 40 * (pattern.match(/(?=10111010000|00001011101)/g) || []).length;
+    }
+
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const dark = modules[y][x];
+            if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+                penalty += 3;
+            }
+        }
+    }
+
+    const darkCount = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    penalty += 10 * Math.floor(Math.abs(darkCount * 100 / (size * size) - 50) / 5);
+
+    return penalty;
+}
+
+const qrMatrix = (text) => {
+    const bytes = [...Buffer.from(String(text), 'utf8')];
+    let version = 1;
+    // 4 bits of mode, the length field and 8 bits per byte must fit the data codewords
+    while (version <= QR_MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCodewordCount(version) * 8) {
+        version++;
+    }
+    if (version > QR_MAX_VERSION) {
+        throw new Error(`qr text is too long, at most ${dataCodewordCount(QR_MAX_VERSION) - 3} bytes`);
+    }
+
+    const codewords = qrCodewords(bytes, version);
+    const { size, modules, reserved } = qrTemplate(version);
+
+    // zigzag through two column strips from the bottom right, skipping the vertical timing pattern
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) {
+            right = 5;
+        }
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!reserved[y][x] && bitIndex < codewords.length * 8) {
+                    modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                    bitIndex++;
+                }
+            }
+        }
+    }
+
+    let best = null;
+    QR_MASKS.forEach((maskFn, mask) => {
+        const masked = modules.map((row, y) => row.map((dark, x) => reserved[y][x] ? dark : dark !== maskFn(x, y)));
+        drawFormatBits(masked, mask);
+        const penalty = qrPenalty(masked);
+        if (!best || penalty < best.penalty) {
+            best = { penalty, modules: masked };
+        }
+    });
+    return best.modules;
+}
+
+module.exports = {
+    code128Bars,
+    qrMatrix
+}
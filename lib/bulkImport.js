@@ -0,0 +1,131 @@
+// bulk parcel import, a csv upload or a json array with one parcel per row
+// only the columns below are read, everything the server sets (cost, status, tracking id) is ignored
+
+const { SENDER_FIELDS } = require('./parcelPolicy');
+
+const MAX_BULK_ROWS = 500;
+
+// the csv columns, the same fields a sender fills in through POST /parcels
+const BULK_FIELDS = SENDER_FIELDS;
+
+const REQUIRED_FIELDS = ['parcelName', 'parcelType', 'senderDistrict', 'receiverName', 'receiverPhone', 'receiverAddress', 'receiverDistrict'];
+
+// rfc 4180 csv, quoted fields may hold commas, line breaks and doubled quotes
+const parseCsvLines = (text) => {
+    const lines = [];
+    let line = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            }
+            else if (char === '"') {
+                quoted = false;
+            }
+            else {
+                field += char;
+            }
+        }
+        else if (char === '"') {
+            quoted = true;
+        }
+        else if (char === ',') {
+            line.push(field);
+            field = '';
+        }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            line.push(field);
+            lines.push(line);
+            line = [];
+            field = '';
+        }
+        else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        return { error: 'csv has an unclosed quote' };
+    }
+    if (field || line.length) {
+        line.push(field);
+        lines.push(line);
+    }
+    return { lines: lines.filter(cells => cells.some(cell => cell.trim())) };
+}
+
+// the first line names the columns
+const parseCsv = (text) => {
+    const { error, lines } = parseCsvLines(text.replace(/^\uFEFF/, ''));
+    if (error) {
+        return { error };
+    }
+    if (lines.length < 2) {
+        return { error: 'csv needs a header line and at least one parcel' };
+    }
+
+    const header = lines[0].map(name => name.trim());
+    const unknown = header.filter(name => !BULK_FIELDS.includes(name));
+    if (unknown.length) {
+        return { error: `unknown csv columns: ${unknown.join(', ')}` };
+    }
+
+    return { rows: lines.slice(1).map(cells => Object.fromEntries(header.map((name, i) => [name, cells[i]]))) };
+}
+
+// returns { error } or { rows } from a text/csv body, a json array or { parcels: [...] }
+const parseBulkBody = (body) => {
+    let rows;
+    if (typeof body === 'string') {
+        const csv = parseCsv(body);
+        if (csv.error) {
+            return csv;
+        }
+        rows = csv.rows;
+    }
+    else {
+        rows = Array.isArray(body) ? body : body?.parcels;
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+        return { error: 'send a csv file or a json array of parcels' };
+    }
+    if (rows.length > MAX_BULK_ROWS) {
+        return { error: `at most ${MAX_BULK_ROWS} parcels per import` };
+    }
+    return { rows };
+}
+
+// returns { error } or { parcel } with only the known, non empty fields
+const validateBulkRow = (row) => {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        return { error: 'row must be an object' };
+    }
+
+    const parcel = {};
+    for (const name of BULK_FIELDS) {
+        const value = typeof row[name] === 'string' ? row[name].trim() : row[name];
+        if (value !== undefined && value !== null && value !== '') {
+            parcel[name] = value;
+        }
+    }
+
+    const missing = REQUIRED_FIELDS.filter(name => parcel[name] === undefined);
+    if (missing.length) {
+        return { error: `missing ${missing.join(', ')}` };
+    }
+    return { parcel };
+}
+
+module.exports = {
+    MAX_BULK_ROWS,
+    parseBulkBody,
+    validateBulkRow
+}
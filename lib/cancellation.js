@@ -0,0 +1,44 @@
+const { DELIVERY_STATUS } = require('./deliveryStatus');
+
+// share of the paid amount kept as a cancellation fee, by delivery status at cancellation
+// statuses missing here cannot be cancelled by anyone (see deliveryStatus transitions)
+// admins change the rates through PATCH /cancellation/config, these are used until they do
+const DEFAULT_CANCELLATION_FEE_RATES = {
+    [DELIVERY_STATUS.CREATED]: 0,
+    [DELIVERY_STATUS.PENDING_PICKUP]: 0,
+    [DELIVERY_STATUS.DRIVER_ASSIGNED]: 0.1,
+    [DELIVERY_STATUS.RIDER_ARRIVING]: 0.2
+}
+
+// returns { error } or the cleaned rates, one per status above
+const validateCancellationFeeRates = (body) => {
+    const rates = {};
+    for (const status of Object.keys(DEFAULT_CANCELLATION_FEE_RATES)) {
+        const rate = Number(body[status]);
+        if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+            return { error: `${status} must be a number between 0 and 1` };
+        }
+        rates[status] = rate;
+    }
+    return rates;
+}
+
+// amounts are in the payment currency, rounded to cents
+const getCancellationRefund = (paidAmount, status, rates = DEFAULT_CANCELLATION_FEE_RATES) => {
+    const rate = rates[status] ?? 0;
+    const fee = Math.round(paidAmount * rate * 100) / 100;
+    const refundAmount = Math.round((paidAmount - fee) * 100) / 100;
+
+    return {
+        feeRate: rate,
+        fee,
+        refundAmount,
+        paymentStatus: fee > 0 ? 'partially_refunded' : 'refunded'
+    }
+}
+
+module.exports = {
+    DEFAULT_CANCELLATION_FEE_RATES,
+    validateCancellationFeeRates,
+    getCancellationRefund
+}
@@ -0,0 +1,23 @@
+// cash on delivery: the rider collects the parcel cost from the receiver and later deposits it
+// collections and deposits live in the payments collection next to stripe payments,
+// told apart by paymentMethod ('cod') and type ('collection' | 'deposit')
+
+const PAYMENT_METHODS = ['stripe', 'cod'];
+
+// a cash amount from a request body, null unless it is a non negative number
+const parseCashAmount = (value) => {
+    const amount = Number(value);
+    if (value === undefined || value === null || value === '' || !Number.isFinite(amount) || amount < 0) {
+        return null;
+    }
+    return Math.round(amount * 100) / 100;
+}
+
+// stands in for the stripe payment intent id so every payment has a transactionId
+const codTransactionId = (trackingId) => `COD-${trackingId}`;
+
+module.exports = {
+    PAYMENT_METHODS,
+    parseCashAmount,
+    codTransactionId
+}
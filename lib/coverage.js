@@ -0,0 +1,192 @@
+// service coverage, the regions and districts we pick up from and deliver to
+// admins keep one document per district, with its serviceable areas and pickup cut-off time
+// until the first district is added every district is accepted, as before coverage existed
+
+// cut-off times are wall clock times in this timezone
+const COVERAGE_TIMEZONE = process.env.COVERAGE_TIMEZONE || 'Asia/Dhaka';
+
+const CUTOFF_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+const cleanName = (value, field) => {
+    const name = String(value || '').trim();
+    if (!name || name.length > 100) {
+        return { error: `${field} is required and at most 100 characters` };
+    }
+    return { name };
+}
+
+// areas as names or { name, enabled }, stored as { name, enabled }
+const cleanAreas = (areas) => {
+    if (!Array.isArray(areas) || areas.length > 500) {
+        return { error: 'areas must be a list of at most 500 areas' };
+    }
+
+    const cleaned = [];
+    for (const area of areas) {
+        const { name, error } = cleanName(typeof area === 'string' ? area : area?.name, 'area name');
+        if (error) {
+            return { error };
+        }
+        if (area?.enabled !== undefined && typeof area.enabled !== 'boolean') {
+            return { error: 'area enabled must be true or false' };
+        }
+        if (cleaned.some(other => normalizeName(other.name) === normalizeName(name))) {
+            return { error: `area ${name} is listed twice` };
+        }
+        cleaned.push({ name, enabled: area?.enabled !== false });
+    }
+    return { areas: cleaned };
+}
+
+// returns { error } or the cleaned district, partial for PATCH
+const validateDistrict = (body, partial = false) => {
+    const district = {};
+
+    for (const field of ['region', 'district']) {
+        if (partial && body[field] === undefined) {
+            continue;
+        }
+        const { name, error } = cleanName(body[field], field);
+        if (error) {
+            return { error };
+        }
+        district[field] = name;
+    }
+
+    if (body.enabled !== undefined) {
+        if (typeof body.enabled !== 'boolean') {
+            return { error: 'enabled must be true or false' };
+        }
+        district.enabled = body.enabled;
+    }
+    else if (!partial) {
+        district.enabled = true;
+    }
+
+    // null or an empty string removes the cut-off
+    if (body.pickupCutoff !== undefined || !partial) {
+        const cutoff = body.pickupCutoff || null;
+        if (cutoff !== null && !CUTOFF_PATTERN.test(cutoff)) {
+            return { error: 'pickupCutoff must be a time like 17:00' };
+        }
+        district.pickupCutoff = cutoff;
+    }
+
+    if (body.areas !== undefined || !partial) {
+        const { areas, error } = cleanAreas(body.areas || []);
+        if (error) {
+            return { error };
+        }
+        district.areas = areas;
+    }
+
+    return district;
+}
+
+const findDistrict = (coverage, name) => coverage.find(entry => normalizeName(entry.district) === normalizeName(name));
+
+// returns { error } or the canonical { region, district, area } for one place
+// label says which place in the message, e.g. 'sender'
+const checkLocation = (coverage, { region, district, area }, label) => {
+    const entry = findDistrict(coverage, district);
+    if (!entry) {
+        return { error: `${label} district ${district || '(empty)'} is not in our service area` };
+    }
+    if (!entry.enabled) {
+        return { error: `${label} district ${entry.district} is not serviced at the moment` };
+    }
+    if (region && normalizeName(region) !== normalizeName(entry.region)) {
+        return { error: `${label} district ${entry.district} is in ${entry.region}, not ${region}` };
+    }
+
+    const location = { region: entry.region, district: entry.district };
+    // areas are optional, a district without any covers all of it
+    if (area) {
+        const match = entry.areas.find(other => normalizeName(other.name) === normalizeName(area));
+        if (entry.areas.length && !match) {
+            return { error: `${label} area ${area} is not in our service area in ${entry.district}` };
+        }
+        if (match && !match.enabled) {
+            return { error: `${label} area ${match.name} is not serviced at the moment` };
+        }
+        location.area = match ? match.name : String(area).trim();
+    }
+    return location;
+}
+
+// returns { error } or the parcel's region, district and area fields with their canonical names
+const checkParcelCoverage = (coverage, parcel) => {
+    const fields = {};
+    for (const side of ['sender', 'receiver']) {
+        const location = checkLocation(coverage, {
+            region: parcel[`${side}Region`],
+            district: parcel[`${side}District`],
+            area: parcel[`${side}Area`]
+        }, side);
+        if (location.error) {
+            return location;
+        }
+        fields[`${side}Region`] = location.region;
+        fields[`${side}District`] = location.district;
+        if (location.area) {
+            fields[`${side}Area`] = location.area;
+        }
+    }
+    return { fields };
+}
+
+const localParts = (date) => {
+    const parts = new Intl.DateTimeFormat('en-CA', {
+        timeZone: COVERAGE_TIMEZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    return Object.fromEntries(parts.map(part => [part.type, part.value]));
+}
+
+// day the parcel is picked up, YYYY-MM-DD in the coverage timezone
+// parcels booked at or after the district's cut-off wait for the next day
+const pickupDateFor = (entry, now = new Date()) => {
+    const { year, month, day, hour, minute } = localParts(now);
+    const afterCutoff = !!entry?.pickupCutoff && `${hour}:${minute}` >= entry.pickupCutoff;
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day) + (afterCutoff ? 1 : 0)));
+    return date.toISOString().slice(0, 10);
+}
+
+// enabled districts and areas grouped by region, for GET /coverage
+const publicCoverage = (coverage) => {
+    const regions = {};
+    for (const entry of coverage.filter(entry => entry.enabled)) {
+        regions[entry.region] = regions[entry.region] || [];
+        regions[entry.region].push({
+            district: entry.district,
+            areas: entry.areas.filter(area => area.enabled).map(area => area.name),
+            pickupCutoff: entry.pickupCutoff
+        });
+    }
+
+    return {
+        timezone: COVERAGE_TIMEZONE,
+        regions: Object.keys(regions).sort().map(region => ({
+            region,
+            districts: regions[region].sort((a, b) => a.district.localeCompare(b.district))
+        }))
+    }
+}
+
+module.exports = {
+    COVERAGE_TIMEZONE,
+    normalizeName,
+    validateDistrict,
+    findDistrict,
+    checkLocation,
+    checkParcelCoverage,
+    pickupDateFor,
+    publicCoverage
+}
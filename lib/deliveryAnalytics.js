@@ -0,0 +1,263 @@
+// delivery performance from the trackings timeline of each parcel
+// the clock starts at payment, or at creation for cash on delivery parcels which are never paid up front
+// durations are reported in hours
+
+const { DELIVERY_STATUS, OPEN_STATUSES, HUB_STATUSES } = require('./deliveryStatus');
+const { WITHIN_CITY_EXPR } = require('./pricing');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// promised time from payment to delivery, admins change it through PATCH /sla/config
+const DEFAULT_SLA_HOURS = {
+    withinCity: 24,
+    outsideCity: 72
+}
+
+const PERCENTILES = [0.5, 0.9, 0.95];
+
+const MAX_BREACHES = 500;
+
+// returns { error } or the cleaned sla hours
+const validateSlaHours = (body) => {
+    const hours = {};
+    for (const key of Object.keys(DEFAULT_SLA_HOURS)) {
+        const value = Number(body[key]);
+        if (!Number.isFinite(value) || value <= 0) {
+            return { error: `${key} must be a positive number of hours` };
+        }
+        hours[key] = value;
+    }
+    return hours;
+}
+
+// returns { error } or { match, limit }, from and to filter on the parcel creation date
+const parseAnalyticsQuery = (query) => {
+    const { from, to, district, riderEmail } = query;
+    const match = {}
+
+    const createdAt = {};
+    if (from) {
+        createdAt.$gte = new Date(from);
+    }
+    if (to) {
+        createdAt.$lte = new Date(to);
+    }
+    if (Object.values(createdAt).some(date => isNaN(date))) {
+        return { error: 'from and to must be valid dates' };
+    }
+    if (Object.keys(createdAt).length) {
+        match.createdAt = createdAt;
+    }
+    if (district) {
+        match.receiverDistrict = district;
+    }
+    if (riderEmail) {
+        // on a routed parcel riderEmail is the delivery rider, the pickup rider is kept on the route
+        match.$or = [{ riderEmail }, { 'route.legs.pickup.riderEmail': riderEmail }];
+    }
+
+    const limit = query.limit === undefined ? 100 : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_BREACHES) {
+        return { error: `limit must be a whole number between 1 and ${MAX_BREACHES}` };
+    }
+
+    return { match, limit };
+}
+
+const logTime = (status) => ({
+    $min: {
+        $map: {
+            input: {
+                $filter: {
+                    input: '$timeline',
+                    as: 'log',
+                    cond: { $eq: ['$$log.status', status] }
+                }
+            },
+            as: 'log',
+            in: '$$log.createdAt'
+        }
+    }
+});
+
+// adds startedAt, pickedUpAt and deliveredAt from the parcel's tracking logs
+const timelineStages = () => [
+    {
+        $lookup: {
+            from: 'trackings',
+            let: { trackingId: '$trackingId' },
+            pipeline: [
+                {
+                    $match: {
+                        $expr: { $eq: ['$trackingId', '$$trackingId'] },
+                        status: { $in: ['parcel_created', 'parcel_paid', DELIVERY_STATUS.PICKED_UP, DELIVERY_STATUS.DELIVERED] }
+                    }
+                },
+                { $project: { status: 1, createdAt: 1 } }
+            ],
+            as: 'timeline'
+        }
+    },
+    {
+        $set: {
+            startedAt: {
+                $cond: [{ $eq: ['$paymentMethod', 'cod'] }, logTime('parcel_created'), logTime('parcel_paid')]
+            },
+            pickedUpAt: logTime(DELIVERY_STATUS.PICKED_UP),
+            deliveredAt: logTime(DELIVERY_STATUS.DELIVERED),
+            isWithinCity: WITHIN_CITY_EXPR
+        }
+    },
+    {
+        $unset: 'timeline'
+    }
+]
+
+// null unless both ends are known
+const between = (start, end) => ({
+    $cond: [{ $and: [{ $ne: [start, null] }, { $ne: [end, null] }] }, { $subtract: [end, start] }, null]
+});
+
+const toHours = (ms) => ({ $round: [{ $divide: [ms, HOUR_MS] }, 2] });
+
+const DURATIONS = ['paymentToPickup', 'pickupToDelivery', 'paymentToDelivery'];
+
+const durationAccumulators = () => Object.fromEntries(DURATIONS.flatMap(name => [
+    [`${name}Count`, { $sum: { $cond: [{ $ne: [`$${name}`, null] }, 1, 0] } }],
+    [`${name}Avg`, { $avg: `$${name}` }],
+    [`${name}Percentiles`, { $percentile: { input: `$${name}`, p: PERCENTILES, method: 'approximate' } }]
+]));
+
+const durationFields = () => Object.fromEntries(DURATIONS.map(name => [name, {
+    count: `$${name}Count`,
+    averageHours: toHours(`$${name}Avg`),
+    ...Object.fromEntries(PERCENTILES.map((p, i) => [
+        `p${p * 100}Hours`,
+        toHours({ $arrayElemAt: [`$${name}Percentiles`, i] })
+    ]))
+}]));
+
+const groupDurations = (key, name) => [
+    { $group: { _id: key, parcels: { $sum: 1 }, ...durationAccumulators() } },
+    { $project: { _id: 0, [name]: '$_id', parcels: 1, ...durationFields() } },
+    { $sort: { [name]: 1 } }
+]
+
+const summaryDurations = () => [
+    { $group: { _id: null, parcels: { $sum: 1 }, ...durationAccumulators() } },
+    { $project: { _id: 0, parcels: 1, ...durationFields() } }
+]
+
+// who carried the parcel and for how long, one entry per route leg
+// the pickup rider also answers for the time to pickup, end to end times only count for parcels without a route
+const riderLegs = () => ({
+    $cond: [
+        { $ifNull: ['$route', false] },
+        [
+            {
+                riderEmail: '$route.legs.pickup.riderEmail',
+                paymentToPickup: '$paymentToPickup',
+                pickupToDelivery: between('$route.legs.pickup.startedAt', '$route.legs.pickup.completedAt'),
+                paymentToDelivery: null
+            },
+            {
+                riderEmail: '$route.legs.delivery.riderEmail',
+                paymentToPickup: null,
+                pickupToDelivery: between('$route.legs.delivery.startedAt', '$route.legs.delivery.completedAt'),
+                paymentToDelivery: null
+            }
+        ],
+        [
+            {
+                riderEmail: '$riderEmail',
+                paymentToPickup: '$paymentToPickup',
+                pickupToDelivery: '$pickupToDelivery',
+                paymentToDelivery: '$paymentToDelivery'
+            }
+        ]
+    ]
+});
+
+const performancePipeline = ({ match }) => [
+    { $match: match },
+    ...timelineStages(),
+    {
+        $set: {
+            paymentToPickup: between('$startedAt', '$pickedUpAt'),
+            pickupToDelivery: between('$pickedUpAt', '$deliveredAt'),
+            paymentToDelivery: between('$startedAt', '$deliveredAt')
+        }
+    },
+    {
+        $facet: {
+            summary: summaryDurations(),
+            byDistrict: groupDurations('$receiverDistrict', 'district'),
+            // on a routed parcel pickupToDelivery is the time the rider carried their leg
+            byRider: [
+                { $project: { leg: riderLegs() } },
+                { $unwind: '$leg' },
+                { $replaceWith: '$leg' },
+                { $match: { riderEmail: { $ne: null } } },
+                ...groupDurations('$riderEmail', 'riderEmail')
+            ]
+        }
+    }
+]
+
+// delivered late, or still on the way past the deadline, most overdue first
+const slaBreachesPipeline = ({ match, limit }, slaHours, now) => [
+    {
+        $match: {
+            ...match,
+            deliveryStatus: { $in: [DELIVERY_STATUS.PENDING_PICKUP, ...OPEN_STATUSES, ...HUB_STATUSES, DELIVERY_STATUS.DELIVERED] }
+        }
+    },
+    ...timelineStages(),
+    {
+        $match: { startedAt: { $ne: null } }
+    },
+    {
+        $set: {
+            slaHours: { $cond: ['$isWithinCity', slaHours.withinCity, slaHours.outsideCity] },
+            endedAt: { $ifNull: ['$deliveredAt', now] }
+        }
+    },
+    {
+        $set: {
+            deadline: { $add: ['$startedAt', { $multiply: ['$slaHours', HOUR_MS] }] }
+        }
+    },
+    {
+        $match: { $expr: { $gt: ['$endedAt', '$deadline'] } }
+    },
+    {
+        $project: {
+            trackingId: 1,
+            parcelName: 1,
+            senderDistrict: 1,
+            receiverDistrict: 1,
+            riderEmail: 1,
+            deliveryStatus: 1,
+            slaHours: 1,
+            startedAt: 1,
+            deadline: 1,
+            deliveredAt: 1,
+            open: { $eq: ['$deliveredAt', null] },
+            overdueHours: toHours({ $subtract: ['$endedAt', '$deadline'] })
+        }
+    },
+    {
+        $sort: { overdueHours: -1 }
+    },
+    {
+        $limit: limit
+    }
+]
+
+module.exports = {
+    DEFAULT_SLA_HOURS,
+    validateSlaHours,
+    parseAnalyticsQuery,
+    performancePipeline,
+    slaBreachesPipeline
+}
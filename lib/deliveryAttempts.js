@@ -0,0 +1,24 @@
+// failed delivery attempts, see POST /parcels/:id/attempts
+
+const FAILED_ATTEMPT_REASONS = [
+    'receiver_unreachable',
+    'receiver_absent',
+    'wrong_address',
+    'refused_by_receiver',
+    'business_closed',
+    'other'
+]
+
+// after this many failed attempts the parcel goes back to the sender
+const MAX_DELIVERY_ATTEMPTS = parseInt(process.env.MAX_DELIVERY_ATTEMPTS) || 3;
+
+// next attempt is scheduled this long after a failed one
+const RESCHEDULE_HOURS = parseInt(process.env.DELIVERY_RESCHEDULE_HOURS) || 24;
+
+const nextAttemptAt = (failedAt) => new Date(failedAt.getTime() + RESCHEDULE_HOURS * 60 * 60 * 1000);
+
+module.exports = {
+    FAILED_ATTEMPT_REASONS,
+    MAX_DELIVERY_ATTEMPTS,
+    nextAttemptAt
+}
@@ -0,0 +1,162 @@
+// rider delivery history, delivered parcels counted per day, week or month in the caller's timezone
+// the database groups with the same formats, this fills in the periods without deliveries
+
+const { PERIOD_FORMATS } = require('./riderEarnings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    }
+    catch (err) {
+        return false;
+    }
+}
+
+// returns { error } or { from, to, granularity, timezone }, the last 30 days by default
+const parseHistoryQuery = (query) => {
+    const { granularity = 'day', timezone = 'UTC' } = query;
+
+    if (!PERIOD_FORMATS[granularity]) {
+        return { error: `granularity must be one of: ${Object.keys(PERIOD_FORMATS).join(', ')}` };
+    }
+    if (!isValidTimezone(timezone)) {
+        return { error: 'timezone must be an IANA timezone like Asia/Dhaka' };
+    }
+
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    if (isNaN(from) || isNaN(to)) {
+        return { error: 'from and to must be valid dates' };
+    }
+    if (from > to) {
+        return { error: 'from must be before to' };
+    }
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+        return { error: `the range can be at most ${MAX_RANGE_DAYS} days` };
+    }
+
+    return { from, to, granularity, timezone };
+}
+
+const pad = (n, length = 2) => String(n).padStart(length, '0');
+
+// iso week year and week number of a calendar date, as %G and %V
+const isoWeek = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const weekday = date.getUTCDay() || 7;
+    date.setUTCDate(date.getUTCDate() + 4 - weekday);
+    const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+    return { year: date.getUTCFullYear(), week: Math.ceil(((date - yearStart) / DAY_MS + 1) / 7) };
+}
+
+// same label $dateToString gives with PERIOD_FORMATS[granularity] and the timezone
+const periodLabel = (date, granularity, timezone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric'
+    }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+
+    if (granularity === 'month') {
+        return `${parts.year}-${pad(parts.month)}`;
+    }
+    if (granularity === 'week') {
+        const { year, week } = isoWeek(parts.year, parts.month, parts.day);
+        return `${year}-W${pad(week)}`;
+    }
+    return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+}
+
+// every period between from and to, a local day is never shorter than 23 hours so 12 hour steps hit each one
+const periodLabels = ({ from, to, granularity, timezone }) => {
+    const labels = [];
+    for (let time = from.getTime(); ; time += DAY_MS / 2) {
+        const label = periodLabel(new Date(Math.min(time, to.getTime())), granularity, timezone);
+        if (labels[labels.length - 1] !== label) {
+            labels.push(label);
+        }
+        if (time >= to.getTime()) {
+            return labels;
+        }
+    }
+}
+
+const deliveryHistoryPipeline = (riderEmail, { from, to, granularity, timezone }) => [
+    {
+        $match: {
+            riderEmail,
+            deliveryStatus: 'parcel_delivered'
+        }
+    },
+    {
+        $lookup: {
+            from: 'trackings',
+            let: { trackingId: '$trackingId' },
+            pipeline: [
+                {
+                    $match: {
+                        $expr: { $eq: ['$trackingId', '$$trackingId'] },
+                        status: 'parcel_delivered',
+                        createdAt: { $gte: from, $lte: to }
+                    }
+                },
+                { $sort: { createdAt: 1 } },
+                { $limit: 1 }
+            ],
+            as: 'delivered'
+        }
+    },
+    {
+        $unwind: '$delivered'
+    },
+    {
+        $group: {
+            _id: {
+                period: { $dateToString: { format: PERIOD_FORMATS[granularity], date: '$delivered.createdAt', timezone } },
+                district: '$receiverDistrict'
+            },
+            deliveredCount: { $sum: 1 }
+        }
+    }
+]
+
+// turns the grouped rows into zero filled periods with a district breakdown
+const buildDeliveryHistory = (rows, filters) => {
+    const periods = new Map(periodLabels(filters).map(period => [period, { period, deliveredCount: 0, districts: [] }]));
+    const districts = new Map();
+
+    for (const { _id, deliveredCount } of rows) {
+        const district = _id.district || 'unknown';
+        const bucket = periods.get(_id.period);
+        if (bucket) {
+            bucket.deliveredCount += deliveredCount;
+            bucket.districts.push({ district, deliveredCount });
+        }
+        districts.set(district, (districts.get(district) || 0) + deliveredCount);
+    }
+
+    const byDistrict = [...districts].map(([district, deliveredCount]) => ({ district, deliveredCount }))
+        .sort((a, b) => b.deliveredCount - a.deliveredCount);
+
+    return {
+        from: filters.from,
+        to: filters.to,
+        granularity: filters.granularity,
+        timezone: filters.timezone,
+        total: byDistrict.reduce((sum, district) => sum + district.deliveredCount, 0),
+        periods: [...periods.values()],
+        byDistrict
+    }
+}
+
+module.exports = {
+    parseHistoryQuery,
+    deliveryHistoryPipeline,
+    buildDeliveryHistory
+}
@@ -0,0 +1,41 @@
+// proof of delivery: a one time code the receiver gives the rider, plus optional photo and signature
+
+const crypto = require("crypto");
+
+const OTP_LENGTH = 6;
+// tries allowed before only an admin can complete the delivery or reset the code
+const MAX_OTP_ATTEMPTS = 5;
+
+// a photo and a signature in base64 (4/3 of this each) must fit in one request,
+// under the 5mb json limit and the 4.5 MB vercel allows for a request body
+const MAX_IMAGE_BYTES = 1.5 * 1024 * 1024;
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+const generateDeliveryOtp = () => crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+
+const otpMatches = (expected, given) => {
+    const a = Buffer.from(String(expected || ''));
+    const b = Buffer.from(String(given || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// accepts a data url (data:image/png;base64,...), returns { contentType, data } or { error }
+const parseImageDataUrl = (dataUrl, label) => {
+    const match = /^data:(image\/[a-z]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(String(dataUrl));
+    if (!match || !IMAGE_TYPES.includes(match[1])) {
+        return { error: `${label} must be a base64 data url of type ${IMAGE_TYPES.join(', ')}` };
+    }
+
+    const data = Buffer.from(match[2], 'base64');
+    if (data.length === 0 || data.length > MAX_IMAGE_BYTES) {
+        return { error: `${label} must be between 1 byte and ${MAX_IMAGE_BYTES / 1024 / 1024} MB` };
+    }
+    return { contentType: match[1], data };
+}
+
+module.exports = {
+    MAX_OTP_ATTEMPTS,
+    generateDeliveryOtp,
+    otpMatches,
+    parseImageDataUrl
+}
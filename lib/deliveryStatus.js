@@ -0,0 +1,164 @@
+// parcel delivery lifecycle
+// parcel_created -> pending-pickup (paid) -> driver_assigned -> rider_arriving
+// -> parcel_picked_up -> in_transit -> parcel_delivered
+// with parcel_cancelled before pickup and parcel_returned after pickup
+// failed delivery attempts go to delivery_failed, after too many the parcel goes
+// return_to_sender with a new rider and ends as parcel_returned
+// inter-district parcels between two hubs (lib/hubRouting.js) go parcel_picked_up -> at_origin_hub
+// -> hub_transfer -> at_destination_hub -> delivery_rider_assigned -> in_transit, one rider per leg
+
+const DELIVERY_STATUS = {
+    CREATED: 'parcel_created',
+    PENDING_PICKUP: 'pending-pickup',
+    DRIVER_ASSIGNED: 'driver_assigned',
+    RIDER_ARRIVING: 'rider_arriving',
+    PICKED_UP: 'parcel_picked_up',
+    IN_TRANSIT: 'in_transit',
+    DELIVERED: 'parcel_delivered',
+    DELIVERY_FAILED: 'delivery_failed',
+    RETURN_TO_SENDER: 'return_to_sender',
+    CANCELLED: 'parcel_cancelled',
+    RETURNED: 'parcel_returned',
+    AT_ORIGIN_HUB: 'at_origin_hub',
+    HUB_TRANSFER: 'hub_transfer',
+    AT_DESTINATION_HUB: 'at_destination_hub',
+    DELIVERY_ASSIGNED: 'delivery_rider_assigned'
+}
+
+// from status -> { to status: roles allowed to make that move }
+// 'system' is the server itself, e.g. confirming a stripe payment
+const transitions = {
+    [DELIVERY_STATUS.CREATED]: {
+        [DELIVERY_STATUS.PENDING_PICKUP]: ['system'],
+        [DELIVERY_STATUS.CANCELLED]: ['user', 'admin']
+    },
+    [DELIVERY_STATUS.PENDING_PICKUP]: {
+        [DELIVERY_STATUS.DRIVER_ASSIGNED]: ['admin', 'system'],
+        [DELIVERY_STATUS.CANCELLED]: ['user', 'admin']
+    },
+    [DELIVERY_STATUS.DRIVER_ASSIGNED]: {
+        [DELIVERY_STATUS.RIDER_ARRIVING]: ['rider', 'admin'],
+        // rider rejected the parcel or admin took it back
+        [DELIVERY_STATUS.PENDING_PICKUP]: ['rider', 'admin'],
+        [DELIVERY_STATUS.CANCELLED]: ['user', 'admin']
+    },
+    [DELIVERY_STATUS.RIDER_ARRIVING]: {
+        [DELIVERY_STATUS.PICKED_UP]: ['rider', 'admin'],
+        [DELIVERY_STATUS.CANCELLED]: ['admin']
+    },
+    [DELIVERY_STATUS.PICKED_UP]: {
+        [DELIVERY_STATUS.IN_TRANSIT]: ['rider', 'admin'],
+        // routed parcels only, the pickup rider drops the parcel at the hub
+        [DELIVERY_STATUS.AT_ORIGIN_HUB]: ['rider', 'admin'],
+        [DELIVERY_STATUS.DELIVERED]: ['rider', 'admin'],
+        [DELIVERY_STATUS.DELIVERY_FAILED]: ['system'],
+        [DELIVERY_STATUS.RETURNED]: ['rider', 'admin']
+    },
+    // hub staff are admins
+    [DELIVERY_STATUS.AT_ORIGIN_HUB]: {
+        [DELIVERY_STATUS.HUB_TRANSFER]: ['admin']
+    },
+    [DELIVERY_STATUS.HUB_TRANSFER]: {
+        [DELIVERY_STATUS.AT_DESTINATION_HUB]: ['admin']
+    },
+    [DELIVERY_STATUS.AT_DESTINATION_HUB]: {
+        [DELIVERY_STATUS.DELIVERY_ASSIGNED]: ['admin', 'system']
+    },
+    [DELIVERY_STATUS.DELIVERY_ASSIGNED]: {
+        // the rider collected the parcel at the hub
+        [DELIVERY_STATUS.IN_TRANSIT]: ['rider', 'admin'],
+        // rider rejected the parcel or admin took it back
+        [DELIVERY_STATUS.AT_DESTINATION_HUB]: ['rider', 'admin']
+    },
+    [DELIVERY_STATUS.IN_TRANSIT]: {
+        [DELIVERY_STATUS.DELIVERED]: ['rider', 'admin'],
+        [DELIVERY_STATUS.DELIVERY_FAILED]: ['system'],
+        [DELIVERY_STATUS.RETURNED]: ['rider', 'admin']
+    },
+    // failed attempts and the return are recorded through POST /parcels/:id/attempts
+    // and POST /parcels/:id/return-to-sender, hence 'system'
+    [DELIVERY_STATUS.DELIVERY_FAILED]: {
+        [DELIVERY_STATUS.IN_TRANSIT]: ['rider', 'admin'],
+        [DELIVERY_STATUS.DELIVERED]: ['rider', 'admin'],
+        [DELIVERY_STATUS.DELIVERY_FAILED]: ['system'],
+        [DELIVERY_STATUS.RETURN_TO_SENDER]: ['system']
+    },
+    [DELIVERY_STATUS.RETURN_TO_SENDER]: {
+        [DELIVERY_STATUS.RETURNED]: ['rider', 'admin'],
+        // routed parcels only, the return rider drops the parcel at the receiver's hub
+        [DELIVERY_STATUS.AT_ORIGIN_HUB]: ['rider', 'admin']
+    },
+    [DELIVERY_STATUS.DELIVERED]: {},
+    [DELIVERY_STATUS.CANCELLED]: {},
+    [DELIVERY_STATUS.RETURNED]: {}
+}
+
+// a rider assigned to a parcel in one of these still holds it
+const OPEN_STATUSES = [
+    DELIVERY_STATUS.DRIVER_ASSIGNED,
+    DELIVERY_STATUS.RIDER_ARRIVING,
+    DELIVERY_STATUS.PICKED_UP,
+    DELIVERY_STATUS.IN_TRANSIT,
+    DELIVERY_STATUS.DELIVERY_FAILED,
+    DELIVERY_STATUS.RETURN_TO_SENDER,
+    DELIVERY_STATUS.DELIVERY_ASSIGNED
+]
+
+// a routed parcel between riders, held by a hub
+const HUB_STATUSES = [
+    DELIVERY_STATUS.AT_ORIGIN_HUB,
+    DELIVERY_STATUS.HUB_TRANSFER,
+    DELIVERY_STATUS.AT_DESTINATION_HUB
+]
+
+// parcels that need an admin's attention
+const EXCEPTION_STATUSES = [
+    DELIVERY_STATUS.DELIVERY_FAILED,
+    DELIVERY_STATUS.RETURN_TO_SENDER
+]
+
+// parcels created before the lifecycle existed have no deliveryStatus
+const currentStatus = (parcel) => parcel.deliveryStatus || DELIVERY_STATUS.CREATED;
+
+const isKnownStatus = (status) => Object.prototype.hasOwnProperty.call(transitions, status);
+
+const canTransition = (from, to, role) => {
+    const allowed = transitions[from] && transitions[from][to];
+    return !!allowed && allowed.includes(role);
+}
+
+// statuses reachable from `from` for the given role
+const nextStatuses = (from, role) => {
+    const targets = transitions[from] || {};
+    return Object.keys(targets).filter(to => targets[to].includes(role));
+}
+
+// query value matching a parcel that is still in `status`, used as an update guard
+// so two concurrent requests cannot both move the parcel out of the same status
+const statusQuery = (status) => {
+    if (status === DELIVERY_STATUS.CREATED) {
+        return { $in: [null, DELIVERY_STATUS.CREATED] };
+    }
+    return status;
+}
+
+// body for a rejected transition, sent with status 409
+const transitionError = (from, to, role) => ({
+    message: `cannot change delivery status from ${from} to ${to}`,
+    from,
+    to,
+    allowed: nextStatuses(from, role)
+})
+
+module.exports = {
+    DELIVERY_STATUS,
+    OPEN_STATUSES,
+    HUB_STATUSES,
+    EXCEPTION_STATUSES,
+    currentStatus,
+    isKnownStatus,
+    canTransition,
+    nextStatuses,
+    statusQuery,
+    transitionError
+}
@@ -0,0 +1,241 @@
+// inter-district parcels go through hubs when both districts have an active one
+// pickup rider -> origin hub -> hub transfer -> destination hub -> delivery rider
+// each leg is assigned and tracked on its own, riders only ever carry the parcel inside their district
+// a return goes back the same way, the receiver's hub becomes the origin and the sender's hub the destination
+// parcels without a route (same district, or a district without a hub) stay a single rider trip
+
+const { DELIVERY_STATUS, HUB_STATUSES, currentStatus } = require('./deliveryStatus');
+const { isWithinCity } = require('./pricing');
+
+const ROUTE_LEGS = ['pickup', 'transfer', 'delivery'];
+
+// the leg a status belongs to and how far along it is
+const LEG_STEPS = {
+    [DELIVERY_STATUS.DRIVER_ASSIGNED]: ['pickup', 'assigned'],
+    [DELIVERY_STATUS.PICKED_UP]: ['pickup', 'in_progress'],
+    [DELIVERY_STATUS.AT_ORIGIN_HUB]: ['pickup', 'completed'],
+    [DELIVERY_STATUS.HUB_TRANSFER]: ['transfer', 'in_progress'],
+    [DELIVERY_STATUS.AT_DESTINATION_HUB]: ['transfer', 'completed'],
+    [DELIVERY_STATUS.DELIVERY_ASSIGNED]: ['delivery', 'assigned'],
+    [DELIVERY_STATUS.IN_TRANSIT]: ['delivery', 'in_progress'],
+    [DELIVERY_STATUS.DELIVERED]: ['delivery', 'completed']
+}
+
+const STEP_TIMES = {
+    assigned: 'assignedAt',
+    in_progress: 'startedAt',
+    completed: 'completedAt'
+}
+
+// who scanned the parcel in or out of a hub, stored on the leg
+const HUB_SCAN_FIELDS = {
+    [DELIVERY_STATUS.AT_ORIGIN_HUB]: 'droppedBy',
+    [DELIVERY_STATUS.HUB_TRANSFER]: 'dispatchedBy',
+    [DELIVERY_STATUS.AT_DESTINATION_HUB]: 'receivedBy'
+}
+
+// returns { error } or the cleaned hub, partial for PATCH
+const validateHub = (body, partial = false) => {
+    const hub = {};
+
+    for (const field of ['name', 'district', 'address']) {
+        if (partial && body[field] === undefined) {
+            continue;
+        }
+        const value = String(body[field] || '').trim();
+        if (!value || value.length > 200) {
+            return { error: `${field} is required and at most 200 characters` };
+        }
+        hub[field] = value;
+    }
+
+    for (const field of ['region', 'phone']) {
+        if (body[field] !== undefined) {
+            hub[field] = String(body[field]).trim().slice(0, 100);
+        }
+    }
+    if (partial && body.active !== undefined) {
+        if (typeof body.active !== 'boolean') {
+            return { error: 'active must be true or false' };
+        }
+        hub.active = body.active;
+    }
+
+    return hub;
+}
+
+// what a parcel and its tracking logs keep of a hub
+const hubSummary = (hub) => ({
+    _id: hub._id.toString(),
+    name: hub.name,
+    district: hub.district,
+    address: hub.address
+})
+
+// route for a new parcel from the active hubs of its two districts, null for a single trip
+const buildRoute = (parcel, hubs) => {
+    if (isWithinCity(parcel)) {
+        return null;
+    }
+    const originHub = hubs.find(hub => hub.district === parcel.senderDistrict);
+    const destinationHub = hubs.find(hub => hub.district === parcel.receiverDistrict);
+    if (!originHub || !destinationHub) {
+        return null;
+    }
+
+    return {
+        originHub: hubSummary(originHub),
+        destinationHub: hubSummary(destinationHub),
+        leg: 'pickup',
+        legs: Object.fromEntries(ROUTE_LEGS.map(leg => [leg, { status: 'pending' }]))
+    }
+}
+
+// the rider queue a parcel waits in, { leg, district, to } or null
+// pickup from the sender's district, or delivery from the destination hub, the sender's on a return
+const waitingLeg = (parcel) => {
+    const status = currentStatus(parcel);
+    if (status === DELIVERY_STATUS.PENDING_PICKUP) {
+        return { leg: 'pickup', district: parcel.senderDistrict, to: DELIVERY_STATUS.DRIVER_ASSIGNED };
+    }
+    if (status === DELIVERY_STATUS.AT_DESTINATION_HUB) {
+        return { leg: 'delivery', district: parcel.route.destinationHub.district, to: DELIVERY_STATUS.DELIVERY_ASSIGNED };
+    }
+    return null;
+}
+
+// where a rider hands a parcel back to, the pickup queue or the destination hub
+const handBackStatus = (parcel) => currentStatus(parcel) === DELIVERY_STATUS.DELIVERY_ASSIGNED
+    ? DELIVERY_STATUS.AT_DESTINATION_HUB
+    : DELIVERY_STATUS.PENDING_PICKUP;
+
+// statuses of a parcel on its way to the receiver, or at their door
+const RECEIVER_STATUSES = [DELIVERY_STATUS.IN_TRANSIT, DELIVERY_STATUS.DELIVERED, DELIVERY_STATUS.DELIVERY_FAILED];
+
+// the transition table allows both ways out of parcel_picked_up, the route decides which one applies
+// a routed parcel only goes to the receiver on its delivery leg, any other parcel never through a hub
+// it is handed back to the sender before leaving their district, or at the end of the return
+const routeAllows = (parcel, to) => {
+    if (!parcel.route) {
+        return !HUB_STATUSES.includes(to);
+    }
+    const { leg, direction } = parcel.route;
+    if (to === DELIVERY_STATUS.RETURNED) {
+        return direction === 'return' ? leg === 'delivery' : leg === 'pickup';
+    }
+    if (direction === 'return') {
+        return to !== DELIVERY_STATUS.DELIVERED && to !== DELIVERY_STATUS.DELIVERY_FAILED
+            && (to !== DELIVERY_STATUS.IN_TRANSIT || leg === 'delivery');
+    }
+    return !RECEIVER_STATUSES.includes(to) || leg === 'delivery';
+}
+
+// why routeAllows turned a status down
+const routeRefusal = (parcel) => {
+    if (!parcel.route) {
+        return 'parcel is not routed through a hub';
+    }
+    if (parcel.route.direction === 'return' && parcel.route.leg === 'delivery') {
+        return 'parcel is on its way back to the sender';
+    }
+    return `parcel is routed through ${parcel.route.originHub.name}, drop it at the hub first`;
+}
+
+// the return rider has the parcel from the start, their leg is under way
+const returnPickupLeg = (rider, now = new Date()) => ({
+    status: 'in_progress',
+    riderId: rider._id.toString(),
+    riderEmail: rider.email,
+    assignedAt: now,
+    startedAt: now
+})
+
+// route back to the sender with the hubs swapped, the outbound route is kept for the record
+const returnRoute = (parcel, rider, now = new Date()) => {
+    const legs = Object.fromEntries(ROUTE_LEGS.map(leg => [leg, { status: 'pending' }]));
+    if (rider) {
+        legs.pickup = returnPickupLeg(rider, now);
+    }
+
+    return {
+        direction: 'return',
+        originHub: parcel.route.destinationHub,
+        destinationHub: parcel.route.originHub,
+        leg: 'pickup',
+        legs,
+        outbound: parcel.route
+    }
+}
+
+// $set fields recording the move to `to` on the parcel's route, fields are stored on the leg as is
+const routeChanges = (parcel, to, fields = {}, now = new Date()) => {
+    if (!parcel.route) {
+        return {};
+    }
+
+    // handed back by the rider, the leg waits for someone else
+    const from = currentStatus(parcel);
+    if (to === DELIVERY_STATUS.PENDING_PICKUP || (from === DELIVERY_STATUS.DELIVERY_ASSIGNED && to === DELIVERY_STATUS.AT_DESTINATION_HUB)) {
+        const leg = to === DELIVERY_STATUS.PENDING_PICKUP ? 'pickup' : 'delivery';
+        return { 'route.leg': leg, [`route.legs.${leg}`]: { status: 'pending' } };
+    }
+
+    // returned to the sender, whichever leg they took it back on is done
+    const step = to === DELIVERY_STATUS.RETURNED ? [parcel.route.leg, 'completed'] : LEG_STEPS[to];
+    if (!step) {
+        return {};
+    }
+    const [leg, status] = step;
+    const changes = {
+        [`route.legs.${leg}.status`]: status,
+        [`route.legs.${leg}.${STEP_TIMES[status]}`]: now
+    }
+    for (const [key, value] of Object.entries(fields)) {
+        changes[`route.legs.${leg}.${key}`] = value;
+    }
+
+    // a finished leg hands over to the next one
+    const next = ROUTE_LEGS[ROUTE_LEGS.indexOf(leg) + 1];
+    changes['route.leg'] = status === 'completed' && next && to !== DELIVERY_STATUS.RETURNED ? next : leg;
+    return changes;
+}
+
+const hubScanBy = (to, email) => HUB_SCAN_FIELDS[to] ? { [HUB_SCAN_FIELDS[to]]: email } : {};
+
+// extra fields for the tracking log, which leg and which hub the parcel is at
+const routeLogExtra = (parcel, to) => {
+    if (!parcel.route) {
+        return {};
+    }
+    // a delivery rider handing the parcel back is still the delivery leg
+    const handedBack = currentStatus(parcel) === DELIVERY_STATUS.DELIVERY_ASSIGNED && to === DELIVERY_STATUS.AT_DESTINATION_HUB;
+    const step = LEG_STEPS[to];
+    const extra = { leg: handedBack ? 'delivery' : step ? step[0] : parcel.route.leg };
+
+    if (to === DELIVERY_STATUS.AT_ORIGIN_HUB) {
+        extra.hub = parcel.route.originHub;
+    }
+    if (to === DELIVERY_STATUS.HUB_TRANSFER) {
+        extra.hub = parcel.route.originHub;
+        extra.toHub = parcel.route.destinationHub;
+    }
+    if (to === DELIVERY_STATUS.AT_DESTINATION_HUB || to === DELIVERY_STATUS.DELIVERY_ASSIGNED) {
+        extra.hub = parcel.route.destinationHub;
+    }
+    return extra;
+}
+
+module.exports = {
+    ROUTE_LEGS,
+    validateHub,
+    buildRoute,
+    waitingLeg,
+    handBackStatus,
+    routeAllows,
+    routeRefusal,
+    returnRoute,
+    returnPickupLeg,
+    routeChanges,
+    hubScanBy,
+    routeLogExtra
+}
@@ -0,0 +1,88 @@
+// who may do what with a parcel
+// viewer is { email, role } of the caller, taken from the firebase token and the users collection
+
+// what a sender fills in for a parcel, everything else (cost, status, tracking id, rider, route) is set by the server
+const SENDER_FIELDS = [
+    'parcelType',
+    'parcelName',
+    'parcelWeight',
+    'senderName',
+    'senderPhone',
+    'senderRegion',
+    'senderDistrict',
+    'senderArea',
+    'senderAddress',
+    'pickupInstruction',
+    'receiverName',
+    'receiverEmail',
+    'receiverPhone',
+    'receiverRegion',
+    'receiverDistrict',
+    'receiverArea',
+    'receiverAddress',
+    'deliveryInstruction',
+    'paymentMethod'
+];
+
+const senderFields = (body) => Object.fromEntries(SENDER_FIELDS.filter(name => body[name] !== undefined).map(name => [name, body[name]]));
+
+const isAdmin = (viewer) => viewer.role === 'admin';
+
+const isSender = (viewer, parcel) => !!viewer.email && parcel.senderEmail === viewer.email;
+
+const isAssignedRider = (viewer, parcel) => viewer.role === 'rider' && !!viewer.email && parcel.riderEmail === viewer.email;
+
+const canViewParcel = (viewer, parcel) => isAdmin(viewer) || isSender(viewer, parcel) || isAssignedRider(viewer, parcel);
+
+const canDeleteParcel = (viewer, parcel) => isAdmin(viewer) || isSender(viewer, parcel);
+
+const canPayParcel = (viewer, parcel) => isSender(viewer, parcel);
+
+// role the viewer acts in for this parcel's status transitions, null when unrelated
+// a rider sending their own parcel acts as a plain user for it
+const parcelRole = (viewer, parcel) => {
+    if (isAdmin(viewer)) {
+        return 'admin';
+    }
+    if (isAssignedRider(viewer, parcel)) {
+        return 'rider';
+    }
+    if (isSender(viewer, parcel)) {
+        return 'user';
+    }
+    return null;
+}
+
+// the delivery otp is for the sender to pass to the receiver, the rider must get it from them
+const redactParcel = (viewer, parcel) => {
+    if (isAdmin(viewer) || isSender(viewer, parcel)) {
+        return parcel;
+    }
+    const { deliveryOtp, ...rest } = parcel;
+    return rest;
+}
+
+// filter limiting a parcel list to what the viewer may see
+const parcelScope = (viewer) => {
+    if (isAdmin(viewer)) {
+        return {};
+    }
+    if (viewer.role === 'rider') {
+        return { $or: [{ senderEmail: viewer.email }, { riderEmail: viewer.email }] };
+    }
+    return { senderEmail: viewer.email };
+}
+
+module.exports = {
+    SENDER_FIELDS,
+    senderFields,
+    isAdmin,
+    isSender,
+    isAssignedRider,
+    canViewParcel,
+    canDeleteParcel,
+    canPayParcel,
+    parcelRole,
+    redactParcel,
+    parcelScope
+}
@@ -0,0 +1,116 @@
+// admin revenue reports over the payments collection
+// a sale is a stripe payment or a cash on delivery collection, dated by paidAt
+// refunds are read from refundedAmount on the sale, which both the cancel route and the stripe webhook keep up to date
+
+const { PERIOD_FORMATS } = require('./riderEarnings');
+
+const DEFAULT_TOP_SENDERS = 10;
+const MAX_TOP_SENDERS = 100;
+
+const roundMoney = (field) => ({ $round: [field, 2] });
+
+// returns { error } or the filters for revenueReportPipeline
+const parseReportQuery = (query) => {
+    const { from, to, period = 'day' } = query;
+
+    if (!PERIOD_FORMATS[period]) {
+        return { error: `period must be one of: ${Object.keys(PERIOD_FORMATS).join(', ')}` };
+    }
+
+    const paidAt = {};
+    if (from) {
+        paidAt.$gte = new Date(from);
+    }
+    if (to) {
+        paidAt.$lte = new Date(to);
+    }
+    if (Object.values(paidAt).some(date => isNaN(date))) {
+        return { error: 'from and to must be valid dates' };
+    }
+
+    const top = query.top === undefined ? DEFAULT_TOP_SENDERS : Number(query.top);
+    if (!Number.isInteger(top) || top < 1 || top > MAX_TOP_SENDERS) {
+        return { error: `top must be a whole number between 1 and ${MAX_TOP_SENDERS}` };
+    }
+
+    return { paidAt, period, top };
+}
+
+// totals of one group of sales
+const revenueTotals = {
+    gross: { $sum: '$amount' },
+    refunds: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+    orders: { $sum: 1 }
+}
+
+const revenueFields = {
+    _id: 0,
+    gross: roundMoney('$gross'),
+    refunds: roundMoney('$refunds'),
+    net: roundMoney({ $subtract: ['$gross', '$refunds'] }),
+    orders: 1,
+    averageOrderValue: roundMoney({ $divide: ['$gross', '$orders'] })
+}
+
+const groupRevenue = (key, name, sort) => [
+    { $group: { _id: key, ...revenueTotals } },
+    { $project: { [name]: '$_id', ...revenueFields } },
+    { $sort: sort }
+]
+
+const revenueReportPipeline = ({ paidAt, period, top }) => [
+    {
+        $match: {
+            paidAt: Object.keys(paidAt).length ? paidAt : { $exists: true },
+            type: { $in: [null, 'collection'] }
+        }
+    },
+    {
+        $lookup: {
+            from: 'parcels',
+            let: { parcelId: { $convert: { input: '$parcelId', to: 'objectId', onError: null, onNull: null } } },
+            pipeline: [
+                { $match: { $expr: { $eq: ['$_id', '$$parcelId'] } } },
+                { $project: { senderDistrict: 1, parcelType: 1 } }
+            ],
+            as: 'parcel'
+        }
+    },
+    {
+        $set: {
+            parcel: { $first: '$parcel' },
+            paymentMethod: { $ifNull: ['$paymentMethod', 'stripe'] }
+        }
+    },
+    {
+        $facet: {
+            summary: [
+                { $group: { _id: null, ...revenueTotals } },
+                { $project: revenueFields }
+            ],
+            byPeriod: groupRevenue({ $dateToString: { format: PERIOD_FORMATS[period], date: '$paidAt' } }, 'period', { period: 1 }),
+            byDistrict: groupRevenue({ $ifNull: ['$parcel.senderDistrict', 'unknown'] }, 'district', { gross: -1 }),
+            byParcelType: groupRevenue({ $ifNull: ['$parcel.parcelType', 'unknown'] }, 'parcelType', { gross: -1 }),
+            byPaymentMethod: groupRevenue('$paymentMethod', 'paymentMethod', { gross: -1 }),
+            topSenders: [
+                ...groupRevenue('$customerEmail', 'senderEmail', { gross: -1 }),
+                { $limit: top }
+            ]
+        }
+    }
+]
+
+// an empty range still answers with zeroes instead of a missing summary
+const EMPTY_SUMMARY = {
+    gross: 0,
+    refunds: 0,
+    net: 0,
+    orders: 0,
+    averageOrderValue: 0
+}
+
+module.exports = {
+    parseReportQuery,
+    revenueReportPipeline,
+    EMPTY_SUMMARY
+}
@@ -0,0 +1,86 @@
+// parcel pricing, the server never trusts a cost sent by the client
+
+const PARCEL_TYPES = ['document', 'non-document'];
+
+const PRICING = {
+    document: {
+        withinCity: 60,
+        outsideCity: 80
+    },
+    nonDocument: {
+        // flat rate covers parcels up to this weight (kg)
+        baseWeight: 3,
+        withinCity: 110,
+        outsideCity: 150,
+        // every started kg above baseWeight
+        extraPerKg: 40,
+        // added once for heavy inter-district parcels
+        outsideCitySurcharge: 40
+    }
+}
+
+const normalizeDistrict = (district) => String(district || '').trim().toLowerCase();
+
+// the within city rates, commissions, eta and sla all use this comparison
+const isWithinCity = (parcel) => normalizeDistrict(parcel.senderDistrict) === normalizeDistrict(parcel.receiverDistrict);
+
+// normalizeDistrict and isWithinCity as aggregation expressions, for pipelines over parcels
+const normalizeDistrictExpr = (field) => ({ $toLower: { $trim: { input: { $ifNull: [field, ''] } } } });
+const WITHIN_CITY_EXPR = { $eq: [normalizeDistrictExpr('$senderDistrict'), normalizeDistrictExpr('$receiverDistrict')] };
+
+// returns { error } when the parcel cannot be priced
+const getParcelQuote = (parcel) => {
+    const { parcelType, senderDistrict, receiverDistrict } = parcel;
+
+    if (!PARCEL_TYPES.includes(parcelType)) {
+        return { error: `parcelType must be one of: ${PARCEL_TYPES.join(', ')}` };
+    }
+    if (!normalizeDistrict(senderDistrict) || !normalizeDistrict(receiverDistrict)) {
+        return { error: 'senderDistrict and receiverDistrict are required' };
+    }
+
+    const withinCity = isWithinCity(parcel);
+
+    if (parcelType === 'document') {
+        const baseCost = withinCity ? PRICING.document.withinCity : PRICING.document.outsideCity;
+        return {
+            parcelType,
+            isWithinCity: withinCity,
+            baseCost,
+            extraWeightCost: 0,
+            surcharge: 0,
+            cost: baseCost
+        }
+    }
+
+    const weight = Number(parcel.parcelWeight);
+    if (!Number.isFinite(weight) || weight <= 0) {
+        return { error: 'parcelWeight must be a positive number for non-document parcels' };
+    }
+
+    const rates = PRICING.nonDocument;
+    const baseCost = withinCity ? rates.withinCity : rates.outsideCity;
+    const extraKg = Math.max(0, Math.ceil(weight - rates.baseWeight));
+    const extraWeightCost = extraKg * rates.extraPerKg;
+    const surcharge = extraKg > 0 && !withinCity ? rates.outsideCitySurcharge : 0;
+
+    return {
+        parcelType,
+        isWithinCity: withinCity,
+        weight,
+        baseCost,
+        extraWeightCost,
+        surcharge,
+        cost: baseCost + extraWeightCost + surcharge
+    }
+}
+
+module.exports = {
+    PARCEL_TYPES,
+    PRICING,
+    WITHIN_CITY_EXPR,
+    normalizeDistrict,
+    normalizeDistrictExpr,
+    isWithinCity,
+    getParcelQuote
+}
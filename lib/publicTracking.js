@@ -0,0 +1,87 @@
+// public tracking view, only what is safe to show to anyone holding the tracking id
+// never add contact details (names, phones, emails, addresses) of sender or receiver here
+
+const { DELIVERY_STATUS, currentStatus } = require('./deliveryStatus');
+const { isWithinCity } = require('./pricing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// used when there is no delivery history for a district pair yet
+const DEFAULT_DELIVERY_MS = {
+    withinCity: 1 * DAY_MS,
+    outsideCity: 3 * DAY_MS
+}
+
+// history considered for the estimate, most recent parcels first
+const ETA_SAMPLE_SIZE = 100;
+
+const firstName = (name) => String(name || '').trim().split(/\s+/)[0] || null;
+
+const timelineOf = (logs) => logs.map(log => ({
+    status: log.status,
+    details: log.details,
+    // hubs are public places, the name and district are fine to show
+    ...(log.hub ? { hub: { name: log.hub.name, district: log.hub.district } } : {}),
+    createdAt: log.createdAt
+}));
+
+const findLog = (logs, status) => logs.find(log => log.status === status);
+
+// history: { averageMs, sampleSize } for the parcel's district pair, or null
+const estimateDelivery = (parcel, logs, history) => {
+    const status = currentStatus(parcel);
+    if ([DELIVERY_STATUS.CANCELLED, DELIVERY_STATUS.RETURN_TO_SENDER, DELIVERY_STATUS.RETURNED].includes(status)) {
+        return null;
+    }
+
+    const delivered = findLog(logs, DELIVERY_STATUS.DELIVERED);
+    if (delivered) {
+        return { date: delivered.createdAt, basis: 'delivered' };
+    }
+
+    // the clock starts at payment, or at creation for cash on delivery parcels which are never paid up front
+    // the same rule as lib/deliveryAnalytics.js
+    const started = findLog(logs, parcel.paymentMethod === 'cod' ? 'parcel_created' : 'parcel_paid');
+    const startedAt = started ? new Date(started.createdAt) : parcel.paymentMethod === 'cod' ? new Date(parcel.createdAt) : new Date();
+
+    if (history && history.sampleSize > 0) {
+        return {
+            date: new Date(startedAt.getTime() + history.averageMs),
+            basis: 'history',
+            sampleSize: history.sampleSize
+        }
+    }
+
+    return {
+        date: new Date(startedAt.getTime() + (isWithinCity(parcel) ? DEFAULT_DELIVERY_MS.withinCity : DEFAULT_DELIVERY_MS.outsideCity)),
+        basis: 'default'
+    }
+}
+
+// riderLocation is lib/riderLocation.js publicLocation, null unless the parcel is out for delivery
+const toPublicTracking = (parcel, logs, history, riderLocation = null) => {
+    const status = currentStatus(parcel);
+    return {
+        trackingId: parcel.trackingId,
+        status,
+        statusDetails: status.split('_').join(' '),
+        parcelType: parcel.parcelType,
+        origin: {
+            region: parcel.senderRegion || null,
+            district: parcel.senderDistrict || null
+        },
+        destination: {
+            region: parcel.receiverRegion || null,
+            district: parcel.receiverDistrict || null
+        },
+        rider: parcel.riderName ? { firstName: firstName(parcel.riderName) } : null,
+        riderLocation,
+        timeline: timelineOf(logs),
+        estimatedDelivery: estimateDelivery(parcel, logs, history)
+    }
+}
+
+module.exports = {
+    ETA_SAMPLE_SIZE,
+    toPublicTracking
+}
@@ -0,0 +1,48 @@
+// picks the rider a parcel is offered to, lower score wins
+
+const ASSIGNMENT_CONFIG = {
+    // deliveries counted for the recent delivery score
+    recentDeliveryDays: 7,
+    // cost of every parcel the rider currently holds
+    openParcelWeight: 10,
+    // cost of every delivery in the recent window, spreads work across riders
+    recentDeliveryWeight: 1,
+    // bonus per hour since the rider's last assignment, capped so idle riders do not win forever
+    idleHourWeight: 0.5,
+    maxIdleHours: 24
+}
+
+// candidate: { rider, openParcels, recentDeliveries }
+const scoreCandidate = (candidate, now = new Date()) => {
+    const { rider, openParcels = 0, recentDeliveries = 0 } = candidate;
+    const lastAssignedAt = rider.lastAssignedAt ? new Date(rider.lastAssignedAt) : null;
+    const idleHours = lastAssignedAt
+        ? Math.min((now - lastAssignedAt) / 36e5, ASSIGNMENT_CONFIG.maxIdleHours)
+        : ASSIGNMENT_CONFIG.maxIdleHours;
+
+    return openParcels * ASSIGNMENT_CONFIG.openParcelWeight
+        + recentDeliveries * ASSIGNMENT_CONFIG.recentDeliveryWeight
+        - idleHours * ASSIGNMENT_CONFIG.idleHourWeight;
+}
+
+// best candidate or null, ties go to whoever waited longest
+const pickCandidate = (candidates, now = new Date()) => {
+    const ranked = candidates
+        .map(candidate => ({ candidate, score: scoreCandidate(candidate, now) }))
+        .sort((a, b) => {
+            if (a.score !== b.score) {
+                return a.score - b.score;
+            }
+            const aTime = a.candidate.rider.lastAssignedAt ? new Date(a.candidate.rider.lastAssignedAt).getTime() : 0;
+            const bTime = b.candidate.rider.lastAssignedAt ? new Date(b.candidate.rider.lastAssignedAt).getTime() : 0;
+            return aTime - bTime;
+        });
+
+    return ranked.length ? ranked[0].candidate : null;
+}
+
+module.exports = {
+    ASSIGNMENT_CONFIG,
+    scoreCandidate,
+    pickCandidate
+}
@@ -0,0 +1,58 @@
+// rider commission per delivered parcel, a share of the parcel cost
+// admins change the rates through PATCH /earnings/config, these are used until they do
+
+const { isWithinCity } = require('./pricing');
+
+const DEFAULT_COMMISSION_RATES = {
+    withinCity: 0.8,
+    outsideCity: 0.6
+}
+
+const PERIOD_FORMATS = {
+    day: '%Y-%m-%d',
+    week: '%G-W%V',
+    month: '%Y-%m'
+}
+
+// returns { error } or the cleaned rates
+const validateCommissionRates = (body) => {
+    const rates = {};
+    for (const key of Object.keys(DEFAULT_COMMISSION_RATES)) {
+        const rate = Number(body[key]);
+        if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+            return { error: `${key} must be a number between 0 and 1` };
+        }
+        rates[key] = rate;
+    }
+    return rates;
+}
+
+// a parcel routed through hubs pays the rider of each leg a share of its commission
+const ROUTE_LEG_SHARES = {
+    pickup: 0.5,
+    delivery: 0.5
+}
+
+// leg is the route leg the rider carried the parcel on, null for a parcel without a route
+const commissionFor = (parcel, rates, leg = null) => {
+    const withinCity = isWithinCity(parcel);
+    const rate = withinCity ? rates.withinCity : rates.outsideCity;
+    const share = leg ? ROUTE_LEG_SHARES[leg] : 1;
+    const parcelCost = Number(parcel.cost) || 0;
+
+    return {
+        isWithinCity: withinCity,
+        rate,
+        share,
+        parcelCost,
+        amount: Math.round(parcelCost * rate * share * 100) / 100
+    }
+}
+
+module.exports = {
+    DEFAULT_COMMISSION_RATES,
+    PERIOD_FORMATS,
+    ROUTE_LEG_SHARES,
+    validateCommissionRates,
+    commissionFor
+}
@@ -0,0 +1,86 @@
+// rider gps pings, the rider app posts one every so often while the rider is on duty
+// every ping is kept for LOCATION_TTL_SECONDS (a ttl index removes it), the rider document keeps the latest
+
+const { DELIVERY_STATUS } = require('./deliveryStatus');
+
+const LOCATION_TTL_SECONDS = Number(process.env.LOCATION_TTL_SECONDS) || 24 * 60 * 60;
+
+// a rider without a ping for this long counts as offline, their position is not shown anymore
+const ACTIVE_LOCATION_MS = 10 * 60 * 1000;
+
+// the receiver sees the rider on the map while the parcel is out for delivery
+const LIVE_LOCATION_STATUSES = [DELIVERY_STATUS.IN_TRANSIT];
+
+const optionalNumber = (value, name, min, max) => {
+    if (value === undefined || value === null) {
+        return { value: null };
+    }
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number) || number < min || number > max) {
+        return { error: `${name} must be a number between ${min} and ${max}` };
+    }
+    return { value: number };
+}
+
+// returns { error } or { lat, lng, accuracy, heading, speed, recordedAt }
+const validatePing = (body, now = new Date()) => {
+    const ping = {};
+    const fields = [
+        ['lat', -90, 90, true],
+        ['lng', -180, 180, true],
+        // meters, as reported by the device
+        ['accuracy', 0, 100000],
+        ['heading', 0, 360],
+        // meters per second
+        ['speed', 0, 100]
+    ];
+    for (const [name, min, max, required] of fields) {
+        if (required && (body[name] === undefined || body[name] === null)) {
+            return { error: 'lat and lng are required' };
+        }
+        const { value, error } = optionalNumber(body[name], name, min, max);
+        if (error) {
+            return { error };
+        }
+        ping[name] = value;
+    }
+
+    // pings queued while offline arrive late, they keep the time they were taken
+    const recordedAt = body.recordedAt ? new Date(body.recordedAt) : now;
+    if (isNaN(recordedAt)) {
+        return { error: 'recordedAt must be a valid date' };
+    }
+    if (recordedAt.getTime() > now.getTime() + 60 * 1000) {
+        return { error: 'recordedAt cannot be in the future' };
+    }
+    if (now - recordedAt > LOCATION_TTL_SECONDS * 1000) {
+        return { error: 'recordedAt is too old' };
+    }
+    ping.recordedAt = recordedAt;
+
+    return ping;
+}
+
+const isActiveLocation = (location, now = new Date()) => !!location && now - new Date(location.recordedAt) <= ACTIVE_LOCATION_MS;
+
+// what the public tracking view shows, null once the rider went quiet
+const publicLocation = (location, now = new Date()) => {
+    if (!isActiveLocation(location, now)) {
+        return null;
+    }
+    return {
+        lat: location.lat,
+        lng: location.lng,
+        accuracy: location.accuracy,
+        recordedAt: location.recordedAt
+    }
+}
+
+module.exports = {
+    LOCATION_TTL_SECONDS,
+    ACTIVE_LOCATION_MS,
+    LIVE_LOCATION_STATUSES,
+    validatePing,
+    isActiveLocation,
+    publicLocation
+}
@@ -0,0 +1,170 @@
+// rider onboarding, a user applies with their details and documents and an admin reviews the application
+// incomplete -> (documents uploaded, submitted) pending -> approved, rejected or changes_requested
+// changes_requested goes back to pending once resubmitted, an approved rider can be suspended and reinstated
+
+const VEHICLE_TYPES = ['bicycle', 'motorbike', 'car', 'van'];
+// these need a driving license and a registration
+const MOTOR_VEHICLES = ['motorbike', 'car', 'van'];
+
+const DOCUMENT_KINDS = ['nid_front', 'nid_back', 'photo', 'license', 'vehicle_registration'];
+
+const APPLICATION_FIELDS = ['name', 'phone', 'nid', 'region', 'district', 'license', 'vehicle'];
+
+// the applicant can change the application and its documents in these
+const EDITABLE_STATUSES = ['incomplete', 'changes_requested'];
+
+// decision -> the statuses it applies to and the status it leads to
+const REVIEW_DECISIONS = {
+    approve: { from: ['pending', 'suspended'], to: 'approved' },
+    reject: { from: ['incomplete', 'pending', 'changes_requested'], to: 'rejected' },
+    request_changes: { from: ['pending'], to: 'changes_requested' },
+    suspend: { from: ['approved'], to: 'suspended' }
+}
+
+// PATCH /riders/:id still takes a status, this maps it to a decision
+const STATUS_DECISIONS = {
+    approved: 'approve',
+    rejected: 'reject',
+    changes_requested: 'request_changes',
+    suspended: 'suspend'
+}
+
+const PHONE_PATTERN = /^\+?[0-9][0-9 -]{6,19}$/;
+// national id numbers are 10, 13 or 17 digits
+const NID_PATTERN = /^(\d{10}|\d{13}|\d{17})$/;
+
+const requiredText = (value, field, max = 100) => {
+    const text = String(value ?? '').trim();
+    if (!text || text.length > max) {
+        return { error: `${field} is required and at most ${max} characters` };
+    }
+    return { text };
+}
+
+const requiredDocuments = (rider) => [
+    'nid_front',
+    'nid_back',
+    'photo',
+    ...(MOTOR_VEHICLES.includes(rider.vehicle?.type) ? ['license', 'vehicle_registration'] : [])
+];
+
+const missingDocuments = (rider) => requiredDocuments(rider).filter(kind => !rider.documents?.[kind]);
+
+// the application fields of a stored rider, to merge a partial update into
+const applicationOf = (rider) => Object.fromEntries(APPLICATION_FIELDS.filter(field => rider[field] !== undefined).map(field => [field, rider[field]]));
+
+// returns { error } or the cleaned application, anything else in the body is dropped
+const validateApplication = (body) => {
+    const application = {};
+
+    for (const field of ['name', 'region', 'district']) {
+        const { text, error } = requiredText(body[field], field);
+        if (error) {
+            return { error };
+        }
+        application[field] = text;
+    }
+
+    const phone = String(body.phone ?? '').trim();
+    if (!PHONE_PATTERN.test(phone)) {
+        return { error: 'phone must be a phone number' };
+    }
+    application.phone = phone;
+
+    const nid = String(body.nid ?? '').replace(/\s/g, '');
+    if (!NID_PATTERN.test(nid)) {
+        return { error: 'nid must be a national id number of 10, 13 or 17 digits' };
+    }
+    application.nid = nid;
+
+    const vehicle = body.vehicle || {};
+    if (!VEHICLE_TYPES.includes(vehicle.type)) {
+        return { error: `vehicle.type must be one of: ${VEHICLE_TYPES.join(', ')}` };
+    }
+    application.vehicle = { type: vehicle.type };
+
+    if (MOTOR_VEHICLES.includes(vehicle.type)) {
+        const registration = requiredText(vehicle.registrationNumber, 'vehicle.registrationNumber', 30);
+        if (registration.error) {
+            return registration;
+        }
+        application.vehicle.registrationNumber = registration.text;
+
+        const license = body.license || {};
+        const number = requiredText(license.number, 'license.number', 30);
+        if (number.error) {
+            return number;
+        }
+        const expiresAt = new Date(license.expiresAt);
+        if (!license.expiresAt || isNaN(expiresAt) || expiresAt <= new Date()) {
+            return { error: 'license.expiresAt must be a date in the future' };
+        }
+        application.license = { number: number.text, expiresAt };
+    }
+    else {
+        application.license = null;
+    }
+
+    return application;
+}
+
+// returns { error } or { decision, to, reason, fields }
+const validateReview = (body) => {
+    const { decision } = body;
+    const rule = REVIEW_DECISIONS[decision];
+    if (!rule) {
+        return { error: `decision must be one of: ${Object.keys(REVIEW_DECISIONS).join(', ')}` };
+    }
+
+    // everything but an approval needs a reason the rider can act on
+    const reason = body.reason ? String(body.reason).trim().slice(0, 1000) : null;
+    if (!reason && decision !== 'approve') {
+        return { error: `reason is required to ${decision.replace('_', ' ')}` };
+    }
+
+    // what the applicant has to fix, for request_changes
+    let fields = [];
+    if (body.fields !== undefined) {
+        const known = [...APPLICATION_FIELDS, ...DOCUMENT_KINDS];
+        if (!Array.isArray(body.fields) || !body.fields.every(field => known.includes(field))) {
+            return { error: `fields must be a list of: ${known.join(', ')}` };
+        }
+        fields = [...new Set(body.fields)];
+    }
+
+    return { decision, to: rule.to, reason, fields };
+}
+
+const canReview = (status, decision) => REVIEW_DECISIONS[decision].from.includes(status);
+
+const REVIEW_MESSAGES = {
+    approve: 'Your rider application was approved, you can start taking parcels.',
+    reinstate: 'Your rider account was reinstated, you can take parcels again.',
+    reject: 'Your rider application was rejected.',
+    request_changes: 'Your rider application needs changes, update it and submit it again.',
+    suspend: 'Your rider account was suspended.'
+}
+
+// the notification the applicant gets for a review history entry
+const reviewNotification = (entry) => {
+    const key = entry.action === 'approve' && entry.from === 'suspended' ? 'reinstate' : entry.action;
+    return {
+        type: 'rider_review',
+        decision: entry.action,
+        message: REVIEW_MESSAGES[key],
+        reason: entry.reason,
+        fields: entry.fields
+    }
+}
+
+module.exports = {
+    DOCUMENT_KINDS,
+    EDITABLE_STATUSES,
+    STATUS_DECISIONS,
+    missingDocuments,
+    applicationOf,
+    validateApplication,
+    validateReview,
+    canReview,
+    reviewNotification
+}
@@ -0,0 +1,45 @@
+// riders hold several parcels at once
+// openParcels counts parcels assigned and not yet delivered, cancelled or returned
+// workStatus is derived from it: 'available' while below capacity, 'in_delivery' when full
+
+const DEFAULT_RIDER_CAPACITY = parseInt(process.env.DEFAULT_RIDER_CAPACITY) || 5;
+
+const riderCapacity = (rider) => rider.capacity || DEFAULT_RIDER_CAPACITY;
+
+// update pipeline recomputing workStatus from the stored counter and capacity
+const workStatusStage = {
+    $set: {
+        workStatus: {
+            $cond: [
+                { $lt: ['$openParcels', { $ifNull: ['$capacity', DEFAULT_RIDER_CAPACITY] }] },
+                'available',
+                'in_delivery'
+            ]
+        }
+    }
+}
+
+// change the counter by delta (never below 0) and derive workStatus in the same write
+const adjustLoadUpdate = (delta) => [
+    {
+        $set: {
+            openParcels: {
+                $max: [0, { $add: [{ $ifNull: ['$openParcels', 0] }, delta] }]
+            }
+        }
+    },
+    workStatusStage
+]
+
+// overwrite the counter with a fresh count
+const setLoadUpdate = (openParcels) => [
+    { $set: { openParcels } },
+    workStatusStage
+]
+
+module.exports = {
+    DEFAULT_RIDER_CAPACITY,
+    riderCapacity,
+    adjustLoadUpdate,
+    setLoadUpdate
+}
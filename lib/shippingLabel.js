@@ -0,0 +1,263 @@
+// printable 4 x 6 inch shipping labels as svg or pdf
+// the layout is a list of shapes in points from the top left corner, both renderers draw the same list
+
+const { code128Bars, qrMatrix } = require('./barcodes');
+
+const LABEL_FORMATS = ['pdf', 'svg'];
+const MAX_BATCH_LABELS = 100;
+
+const WIDTH = 288;
+const HEIGHT = 432;
+const MARGIN = 12;
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+
+// helvetica is about half as wide as it is tall on average, good enough to wrap lines
+const fitsIn = (text, size, width) => text.length * size * 0.52 <= width;
+
+const wrapText = (text, size, width, maxLines) => {
+    const lines = [];
+    let line = '';
+    for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+        const next = line ? `${line} ${word}` : word;
+        if (fitsIn(next, size, width) || !line) {
+            line = next;
+            continue;
+        }
+        lines.push(line);
+        line = word;
+    }
+    if (line) {
+        lines.push(line);
+    }
+
+    const shown = lines.slice(0, maxLines);
+    if (lines.length > maxLines) {
+        shown[maxLines - 1] += '...';
+    }
+    return shown.map(text => {
+        while (text.length > 4 && !fitsIn(text, size, width)) {
+            text = `${text.slice(0, -4)}...`;
+        }
+        return text;
+    });
+}
+
+const text = (x, y, value, size, bold = false, color = '#000') => ({ type: 'text', x, y, text: String(value), size, bold, color });
+const rect = (x, y, w, h, fill = true, color = '#000') => ({ type: 'rect', x, y, w, h, fill, color });
+const line = (y) => ({ type: 'line', x1: MARGIN, y1: y, x2: WIDTH - MARGIN, y2: y });
+
+// a block of lines below each other, returns the shapes and where the next block starts
+const textBlock = (x, y, width, rows) => {
+    const shapes = [];
+    for (const { value, size, bold, maxLines = 1 } of rows) {
+        if (!value) {
+            continue;
+        }
+        for (const part of wrapText(value, size, width, maxLines)) {
+            y += size + 2;
+            shapes.push(text(x, y, part, size, bold));
+        }
+    }
+    return { shapes, y };
+}
+
+const place = (parts) => parts.filter(Boolean).join(', ');
+
+const paymentLine = (parcel) => {
+    if (parcel.paymentMethod === 'cod') {
+        return `COD  ${Number(parcel.codAmount ?? parcel.cost).toFixed(2)} USD`;
+    }
+    return parcel.paymentStatus === 'paid' ? 'PREPAID' : 'PAYMENT DUE';
+}
+
+const barcodeShapes = (trackingId, x, y, width, height) => {
+    const bars = code128Bars(trackingId);
+    const modules = bars.reduce((sum, bar) => sum + bar, 0);
+    const moduleWidth = width / modules;
+
+    const shapes = [];
+    let offset = x;
+    bars.forEach((bar, i) => {
+        // even positions are bars, odd are spaces
+        if (i % 2 === 0) {
+            shapes.push(rect(offset, y, bar * moduleWidth, height));
+        }
+        offset += bar * moduleWidth;
+    });
+    return shapes;
+}
+
+const qrShapes = (value, x, y, size) => {
+    const matrix = qrMatrix(value);
+    const moduleSize = size / matrix.length;
+
+    // one rectangle per run of dark modules in a row
+    const shapes = [];
+    matrix.forEach((row, rowIndex) => {
+        let start = null;
+        row.concat(false).forEach((dark, column) => {
+            if (dark && start === null) {
+                start = column;
+            }
+            if (!dark && start !== null) {
+                shapes.push(rect(x + start * moduleSize, y + rowIndex * moduleSize, (column - start) * moduleSize, moduleSize));
+                start = null;
+            }
+        });
+    });
+    return shapes;
+}
+
+const labelShapes = (parcel) => {
+    const innerWidth = WIDTH - 2 * MARGIN;
+    const shapes = [];
+
+    shapes.push(text(MARGIN, 32, 'ASKFLOW', 18, true));
+    const details = [
+        parcel.parcelType === 'document' ? 'Document' : `Non-document, ${Number(parcel.parcelWeight) || 0} kg`,
+        `Created ${new Date(parcel.createdAt || Date.now()).toISOString().slice(0, 10)}`
+    ];
+    shapes.push(text(150, 24, details[0], 8), text(150, 35, details[1], 8));
+    shapes.push(line(44));
+
+    const from = textBlock(MARGIN, 46, innerWidth, [
+        { value: 'FROM', size: 7, bold: true },
+        { value: parcel.senderName, size: 9, bold: true },
+        { value: parcel.senderPhone, size: 8 },
+        { value: parcel.senderAddress, size: 8, maxLines: 2 },
+        { value: place([parcel.senderDistrict, parcel.senderRegion]), size: 8 }
+    ]);
+    shapes.push(...from.shapes, line(from.y + 8));
+
+    const to = textBlock(MARGIN, from.y + 10, innerWidth, [
+        { value: 'TO', size: 8, bold: true },
+        { value: parcel.receiverName, size: 13, bold: true },
+        { value: parcel.receiverPhone, size: 10 },
+        { value: parcel.receiverAddress, size: 10, maxLines: 3 },
+        { value: place([parcel.receiverDistrict, parcel.receiverRegion]), size: 12, bold: true }
+    ]);
+    shapes.push(...to.shapes, line(to.y + 8));
+
+    const routeY = to.y + 28;
+    shapes.push(text(MARGIN, routeY, wrapText(`${parcel.senderDistrict || '-'}  >  ${parcel.receiverDistrict || '-'}`, 14, innerWidth, 1)[0] || '', 14, true));
+
+    const paymentY = routeY + 10;
+    const payment = paymentLine(parcel);
+    if (parcel.paymentMethod === 'cod') {
+        shapes.push(rect(MARGIN, paymentY, innerWidth, 30), text(MARGIN + 8, paymentY + 21, payment, 16, true, '#fff'));
+    }
+    else {
+        shapes.push(rect(MARGIN, paymentY, innerWidth, 30, false), text(MARGIN + 8, paymentY + 21, payment, 16, true));
+    }
+
+    // ten modules of quiet zone on both sides of the barcode
+    const barcodeY = paymentY + 40;
+    shapes.push(...barcodeShapes(parcel.trackingId, MARGIN + 10, barcodeY, innerWidth - 20, 44));
+
+    // the margin and ten more points keep the quiet zone of the qr code clear
+    const qrSize = 70;
+    shapes.push(...qrShapes(parcel.trackingId, WIDTH - MARGIN - 10 - qrSize, barcodeY + 60, qrSize));
+    shapes.push(
+        text(MARGIN, barcodeY + 66, parcel.trackingId, 12, true),
+        text(MARGIN, barcodeY + 80, 'Scan or enter the tracking id to track', 7)
+    );
+
+    return shapes;
+}
+
+// svg, labels of a batch stacked below each other
+
+const escapeXml = (value) => value.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const round = (n) => Math.round(n * 100) / 100;
+
+const svgShape = (shape) => {
+    if (shape.type === 'rect') {
+        const paint = shape.fill ? `fill="${shape.color}"` : `fill="none" stroke="${shape.color}" stroke-width="1"`;
+        return `<rect x="${round(shape.x)}" y="${round(shape.y)}" width="${round(shape.w)}" height="${round(shape.h)}" ${paint}/>`;
+    }
+    if (shape.type === 'line') {
+        return `<line x1="${shape.x1}" y1="${shape.y1}" x2="${shape.x2}" y2="${shape.y2}" stroke="#000" stroke-width="0.8"/>`;
+    }
+    const weight = shape.bold ? ' font-weight="bold"' : '';
+    return `<text x="${round(shape.x)}" y="${round(shape.y)}" font-size="${shape.size}"${weight} fill="${shape.color}">${escapeXml(shape.text)}</text>`;
+}
+
+const renderSvg = (parcels) => {
+    const height = HEIGHT * parcels.length;
+    const labels = parcels.map((parcel, i) => [
+        `<g transform="translate(0 ${HEIGHT * i})">`,
+        `<rect x="0" y="0" width="${WIDTH}" height="${HEIGHT}" fill="#fff"/>`,
+        ...labelShapes(parcel).map(svgShape),
+        '</g>'
+    ].join('\n'));
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="4in" height="${6 * parcels.length}in" viewBox="0 0 ${WIDTH} ${height}" font-family="${FONT_FAMILY}">`,
+        ...labels,
+        '</svg>'
+    ].join('\n');
+}
+
+// pdf, one label per page, only the standard helvetica fonts so nothing has to be embedded
+
+// the standard fonts use winansi, anything outside latin 1 prints as ?
+const pdfString = (value) => `(${value.replace(/[^\x20-\x7E\xA0-\xFF]/g, '?').replace(/[\\()]/g, '\\$&')})`;
+
+const pdfColor = (color, op) => color === '#fff' ? `1 ${op}` : `0 ${op}`;
+
+const pdfShape = (shape) => {
+    if (shape.type === 'rect') {
+        const y = HEIGHT - shape.y - shape.h;
+        return shape.fill
+            ? `${pdfColor(shape.color, 'g')} ${round(shape.x)} ${round(y)} ${round(shape.w)} ${round(shape.h)} re f`
+            : `${pdfColor(shape.color, 'G')} 1 w ${round(shape.x)} ${round(y)} ${round(shape.w)} ${round(shape.h)} re S`;
+    }
+    if (shape.type === 'line') {
+        return `0 G 0.8 w ${shape.x1} ${HEIGHT - shape.y1} m ${shape.x2} ${HEIGHT - shape.y2} l S`;
+    }
+    return `BT ${pdfColor(shape.color, 'g')} /${shape.bold ? 'F2' : 'F1'} ${shape.size} Tf ${round(shape.x)} ${round(HEIGHT - shape.y)} Td ${pdfString(shape.text)} Tj ET`;
+}
+
+const renderPdf = (parcels) => {
+    // objects 1 to 4 are fixed, then a page and its content stream per label
+    const pageIds = parcels.map((parcel, i) => 5 + i * 2);
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${parcels.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+    ];
+    parcels.forEach((parcel, i) => {
+        const content = labelShapes(parcel).map(pdfShape).join('\n');
+        objects.push(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${WIDTH} ${HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+            `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`
+        );
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+
+    const xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+}
+
+// returns { contentType, body } for one or more parcels
+const renderLabels = (parcels, format) => format === 'svg'
+    ? { contentType: 'image/svg+xml; charset=utf-8', body: renderSvg(parcels) }
+    : { contentType: 'application/pdf', body: renderPdf(parcels) };
+
+module.exports = {
+    LABEL_FORMATS,
+    MAX_BATCH_LABELS,
+    renderLabels
+}
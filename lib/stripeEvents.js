@@ -0,0 +1,23 @@
+// stripe webhook events are only trusted with a valid Stripe-Signature over the raw request body
+// the signature also carries a timestamp, stripe's library refuses events older than five minutes
+
+// returns { event } or { error } for a 400, stripe retries until the endpoint accepts the event
+const verifyStripeEvent = (stripe, rawBody, signature, secret) => {
+    if (!secret) {
+        return { error: 'STRIPE_WEBHOOK_SECRET is not set' };
+    }
+    if (!rawBody || !signature) {
+        return { error: 'missing body or Stripe-Signature header' };
+    }
+
+    try {
+        return { event: stripe.webhooks.constructEvent(rawBody, signature, secret) };
+    }
+    catch (err) {
+        return { error: err.message };
+    }
+}
+
+module.exports = {
+    verifyStripeEvent
+}
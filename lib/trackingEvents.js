@@ -0,0 +1,123 @@
+// live tracking logs for the /trackings/:trackingId/stream endpoint
+// with a replica set a change stream on trackings feeds the listeners, so logs written by
+// any server instance arrive; the stream is opened by the first listener and closed after the last,
+// an instance nobody streams from holds no cursor
+// until the stream is confirmed running, and without one (e.g. a standalone dev server), logTracking
+// publishes the logs this process writes, a log may then arrive twice and listeners drop repeats by _id
+
+const { EventEmitter } = require('events');
+
+// how long a new listener waits for the change stream before replaying the history anyway
+const STREAM_CONFIRM_TIMEOUT_MS = 5000;
+
+const bus = new EventEmitter();
+// one listener per open stream
+bus.setMaxListeners(0);
+
+let trackingsCollection = null;
+let changeStream = null;
+// resolves once the stream is confirmed or given up on
+let streamStarted = null;
+let streamConfirmed = false;
+// a standalone server has no change streams, no point asking again
+let streamUnavailable = false;
+let listenerCount = 0;
+
+const channel = (trackingId) => `log:${trackingId}`;
+
+const emitLog = (log) => {
+    bus.emit(channel(log.trackingId), log);
+}
+
+const closeChangeStream = () => {
+    if (changeStream) {
+        changeStream.close().catch(() => { });
+    }
+    changeStream = null;
+    streamStarted = null;
+    streamConfirmed = false;
+}
+
+const openChangeStream = () => {
+    if (changeStream || streamUnavailable || !trackingsCollection) {
+        return;
+    }
+
+    let stream;
+    try {
+        stream = trackingsCollection.watch([{ $match: { operationType: 'insert' } }]);
+    }
+    catch (err) {
+        console.error('Tracking change stream unavailable, using in-process events:', err.message);
+        streamUnavailable = true;
+        return;
+    }
+    changeStream = stream;
+
+    streamStarted = new Promise(resolve => {
+        const timer = setTimeout(resolve, STREAM_CONFIRM_TIMEOUT_MS);
+        // the server answered the aggregate with a resume token, every insert from here on comes through
+        const confirm = () => {
+            clearTimeout(timer);
+            if (changeStream === stream) {
+                streamConfirmed = true;
+            }
+            resolve();
+        }
+        stream.once('resumeTokenChanged', confirm);
+        stream.once('change', confirm);
+        stream.on('error', err => {
+            clearTimeout(timer);
+            console.error('Tracking change stream unavailable, using in-process events:', err.message);
+            if (changeStream === stream) {
+                streamUnavailable = true;
+                closeChangeStream();
+            }
+            resolve();
+        });
+    });
+    stream.on('change', change => emitLog(change.fullDocument));
+}
+
+// called once connected, the stream itself waits for a listener
+const watchTrackingLogs = (collection) => {
+    trackingsCollection = collection;
+}
+
+// called by logTracking once the log is committed, a no-op while the change stream delivers
+const publishTrackingLog = (log) => {
+    if (!streamConfirmed) {
+        emitLog(log);
+    }
+}
+
+// returns the unsubscribe function
+const subscribeTrackingLogs = (trackingId, listener) => {
+    bus.on(channel(trackingId), listener);
+    listenerCount++;
+    openChangeStream();
+
+    let subscribed = true;
+    return () => {
+        if (!subscribed) {
+            return;
+        }
+        subscribed = false;
+        bus.off(channel(trackingId), listener);
+        listenerCount--;
+        if (listenerCount === 0) {
+            closeChangeStream();
+        }
+    }
+}
+
+// resolves once logs of other instances reach the listeners, or it is clear they never will
+// a listener replays the stored logs after this so none written in between is missed
+const trackingLogsLive = () => streamStarted || Promise.resolve();
+
+module.exports = {
+    watchTrackingLogs,
+    publishTrackingLog,
+    subscribeTrackingLogs,
+    trackingLogsLive
+}
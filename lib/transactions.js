@@ -0,0 +1,82 @@
+// multi-document transactions, so parcels, riders, payments and trackings never disagree
+// the driver's withTransaction already retries a transient error or an unknown commit result
+// for a while, this retries the whole attempt a few more times with a backoff on top of that
+
+const TRANSACTION_OPTIONS = {
+    readConcern: { level: 'snapshot' },
+    writeConcern: { w: 'majority' },
+    readPreference: 'primary'
+}
+
+const MAX_ATTEMPTS = 3;
+const BASE_DELAY_MS = 50;
+
+const WRITE_CONFLICT = 112;
+
+const isRetryableError = (err) => {
+    if (!err) {
+        return false;
+    }
+    if (typeof err.hasErrorLabel === 'function' && err.hasErrorLabel('TransientTransactionError')) {
+        return true;
+    }
+    return err.code === WRITE_CONFLICT;
+}
+
+// work queued with onCommit, per session, dropped when an attempt is retried
+const commitHooks = new WeakMap();
+
+// runs fn once the transaction of dbSession commits, right away without a session
+const onCommit = (dbSession, fn) => {
+    const hooks = dbSession && commitHooks.get(dbSession);
+    if (!hooks) {
+        return fn();
+    }
+    hooks.push(fn);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// runs work(session) in a transaction and resolves with what work returned
+// every database call inside work must pass { session }
+const runTransaction = async (client, work, maxAttempts = MAX_ATTEMPTS) => {
+    for (let attempt = 1; ; attempt++) {
+        const session = client.startSession();
+        let result;
+        let hooks;
+        try {
+            await session.withTransaction(async () => {
+                commitHooks.set(session, []);
+                result = await work(session);
+            }, TRANSACTION_OPTIONS);
+            hooks = commitHooks.get(session);
+        }
+        catch (err) {
+            if (attempt >= maxAttempts || !isRetryableError(err)) {
+                throw err;
+            }
+            await sleep(BASE_DELAY_MS * 2 ** (attempt - 1));
+            continue;
+        }
+        finally {
+            await session.endSession();
+        }
+
+        // committed, a failing hook must not retry the transaction
+        hooks.forEach(fn => {
+            try {
+                fn();
+            }
+            catch (err) {
+                console.error('Transaction commit hook error:', err);
+            }
+        });
+        return result;
+    }
+}
+
+module.exports = {
+    isRetryableError,
+    onCommit,
+    runTransaction
+}
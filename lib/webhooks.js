@@ -0,0 +1,227 @@
+// outbound webhooks for merchants, a subscription gets the events of the parcels its owner sent
+// events are tracking.<status> for every tracking log and payment.succeeded | payment.failed | payment.refunded
+// every request is signed like stripe does it, the receiver checks
+//   X-Askflow-Signature: t=<unix seconds>,v1=<hex hmac sha256 of "<t>.<raw body>" with the subscription secret>
+
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+const PAYMENT_EVENTS = ['payment.succeeded', 'payment.failed', 'payment.refunded'];
+
+// attempts before a delivery is given up, the first one included
+const MAX_WEBHOOK_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+// wait before the second attempt, doubled for every attempt after it
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+const MAX_EVENT_FILTERS = 50;
+
+// webhooks never reach loopback, link-local or private hosts, the response body goes back to the merchant
+// set WEBHOOK_ALLOW_PRIVATE_HOSTS=true only in development, to send to a receiver on the same machine
+const WEBHOOK_ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128],
+    ['::1', 128],
+    // ipv4 mapped, e.g. ::ffff:127.0.0.1
+    ['::ffff:0:0', 96],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// anything that is not a plain ip address counts as private
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    return !family || PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// what can be told from the url alone, names are checked again when they are resolved
+const isPrivateHost = (hostname) => {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost')) {
+        return true;
+    }
+    return net.isIP(host) ? isPrivateAddress(host) : false;
+}
+
+const isValidEventFilter = (filter) => filter === '*'
+    || filter === 'tracking.*'
+    || filter === 'payment.*'
+    || PAYMENT_EVENTS.includes(filter)
+    || /^tracking\.[a-z_-]+$/.test(filter);
+
+const eventMatches = (filters, type) => filters.some(filter => filter === '*'
+    || filter === type
+    || (filter.endsWith('.*') && type.startsWith(filter.slice(0, -1))));
+
+// returns { error } or the cleaned fields, with partial only the given fields are checked
+const validateWebhook = (body, partial = false) => {
+    const webhook = {};
+
+    if (!partial || body.url !== undefined) {
+        let url;
+        try {
+            url = new URL(body.url);
+        }
+        catch (err) {
+            return { error: 'url must be a valid http or https url' };
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            return { error: 'url must be a valid http or https url' };
+        }
+        if (!WEBHOOK_ALLOW_PRIVATE_HOSTS && isPrivateHost(url.hostname)) {
+            return { error: 'url must point to a public host' };
+        }
+        webhook.url = url.toString();
+    }
+
+    if (!partial || body.events !== undefined) {
+        const events = body.events === undefined ? ['*'] : body.events;
+        if (!Array.isArray(events) || events.length === 0 || events.length > MAX_EVENT_FILTERS || !events.every(isValidEventFilter)) {
+            return { error: `events must be a list of '*', 'tracking.*', 'tracking.<status>', 'payment.*' or one of: ${PAYMENT_EVENTS.join(', ')}` };
+        }
+        webhook.events = [...new Set(events)];
+    }
+
+    if (body.description !== undefined) {
+        webhook.description = String(body.description).slice(0, 200);
+    }
+    if (partial && body.active !== undefined) {
+        if (typeof body.active !== 'boolean') {
+            return { error: 'active must be true or false' };
+        }
+        webhook.active = body.active;
+    }
+
+    return webhook;
+}
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signWebhookPayload = (secret, timestamp, body) => {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+// wait after a failed attempt, attempts counts the ones made so far
+const retryDelay = (attempts) => WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1);
+
+// where a delivery stands after an attempt, { status, nextAttemptAt } with nextAttemptAt only while retrying
+const attemptOutcome = (ok, attempts, now = Date.now()) => {
+    if (ok) {
+        return { status: 'delivered' };
+    }
+    if (attempts >= MAX_WEBHOOK_ATTEMPTS) {
+        return { status: 'failed' };
+    }
+    return { status: 'pending', nextAttemptAt: new Date(now + retryDelay(attempts)) };
+}
+
+// dns lookup for the request itself, a name that resolves to a private address is refused when connecting
+// so a name that changes its address between the check and the request cannot get through
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) {
+            return callback(err);
+        }
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (!WEBHOOK_ALLOW_PRIVATE_HOSTS && addresses.some(entry => isPrivateAddress(entry.address))) {
+            return callback(new Error(`${hostname} resolves to a private address`));
+        }
+        callback(null, address, family);
+    });
+}
+
+// resolves { statusCode, responseBody }, redirects are not followed
+const postWebhook = (url, headers, body) => new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: publicLookup,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    }, (response) => {
+        // with WEBHOOK_ALLOW_PRIVATE_HOSTS a private host is reached, but what it says is not kept
+        const keepBody = !isPrivateAddress(response.socket.remoteAddress || '');
+        let responseBody = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => {
+            if (keepBody && responseBody.length < 500) {
+                responseBody += chunk;
+            }
+        });
+        response.on('end', () => resolve({ statusCode: response.statusCode, responseBody: keepBody ? responseBody.slice(0, 500) : null }));
+        response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(body);
+});
+
+// one http attempt, never throws, redirects count as failures
+const sendWebhook = async (url, secret, event) => {
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const target = new URL(url);
+
+    // ip literals skip the lookup, urls stored before the check existed are caught here too
+    if (!WEBHOOK_ALLOW_PRIVATE_HOSTS && isPrivateHost(target.hostname)) {
+        return { ok: false, statusCode: null, error: 'url must point to a public host', durationMs: 0 };
+    }
+
+    try {
+        const { statusCode, responseBody } = await postWebhook(target, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'askflow-webhooks/1.0',
+            'X-Askflow-Event': event.type,
+            'X-Askflow-Event-Id': event.id,
+            'X-Askflow-Signature': signWebhookPayload(secret, timestamp, body)
+        }, body);
+        return {
+            ok: statusCode >= 200 && statusCode < 300,
+            statusCode,
+            responseBody,
+            durationMs: Date.now() - startedAt
+        }
+    }
+    catch (err) {
+        return {
+            ok: false,
+            statusCode: null,
+            error: err.name === 'AbortError' || err.name === 'TimeoutError' ? `timed out after ${WEBHOOK_TIMEOUT_MS} ms` : err.cause?.message || err.message,
+            durationMs: Date.now() - startedAt
+        }
+    }
+}
+
+module.exports = {
+    PAYMENT_EVENTS,
+    MAX_WEBHOOK_ATTEMPTS,
+    WEBHOOK_RETRY_BASE_MS,
+    WEBHOOK_TIMEOUT_MS,
+    eventMatches,
+    validateWebhook,
+    generateWebhookSecret,
+    signWebhookPayload,
+    retryDelay,
+    attemptOutcome,
+    sendWebhook
+}
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DELIVERY_STATUS } = require('../lib/deliveryStatus');
+const { DEFAULT_CANCELLATION_FEE_RATES, validateCancellationFeeRates, getCancellationRefund } = require('../lib/cancellation');
+
+test('nothing is kept before a rider is assigned', () => {
+    for (const status of [DELIVERY_STATUS.CREATED, DELIVERY_STATUS.PENDING_PICKUP]) {
+        assert.deepEqual(getCancellationRefund(150, status), {
+            feeRate: 0,
+            fee: 0,
+            refundAmount: 150,
+            paymentStatus: 'refunded'
+        });
+    }
+});
+
+test('the default fee grows once a rider is on it', () => {
+    const assigned = getCancellationRefund(150, DELIVERY_STATUS.DRIVER_ASSIGNED);
+    assert.equal(assigned.fee, 15);
+    assert.equal(assigned.refundAmount, 135);
+    assert.equal(assigned.paymentStatus, 'partially_refunded');
+
+    const arriving = getCancellationRefund(150, DELIVERY_STATUS.RIDER_ARRIVING);
+    assert.equal(arriving.fee, 30);
+    assert.equal(arriving.refundAmount, 120);
+});
+
+test('fee and refund are rounded to cents and add up to the paid amount', () => {
+    const { fee, refundAmount } = getCancellationRefund(99.99, DELIVERY_STATUS.DRIVER_ASSIGNED);
+    assert.equal(fee, 10);
+    assert.equal(refundAmount, 89.99);
+
+    for (const amount of [0.01, 0.05, 12.34, 33.33, 1234.56]) {
+        for (const status of Object.keys(DEFAULT_CANCELLATION_FEE_RATES)) {
+            const refund = getCancellationRefund(amount, status);
+            assert.equal(Math.round((refund.fee + refund.refundAmount) * 100), Math.round(amount * 100), `${amount} at ${status}`);
+        }
+    }
+});
+
+test('configured rates replace the defaults, a status without one keeps nothing', () => {
+    const rates = { ...DEFAULT_CANCELLATION_FEE_RATES, [DELIVERY_STATUS.PENDING_PICKUP]: 0.05 };
+    assert.equal(getCancellationRefund(200, DELIVERY_STATUS.PENDING_PICKUP, rates).fee, 10);
+
+    // a payment for a parcel that was cancelled or deleted before it came in
+    assert.equal(getCancellationRefund(200, null, {}).refundAmount, 200);
+});
+
+test('fee rates must be given for every cancellable status, between 0 and 1', () => {
+    const valid = Object.fromEntries(Object.keys(DEFAULT_CANCELLATION_FEE_RATES).map(status => [status, '0.25']));
+    const rates = validateCancellationFeeRates(valid);
+    assert.equal(rates.error, undefined);
+    assert.deepEqual(Object.values(rates), Object.keys(valid).map(() => 0.25));
+
+    assert.ok(validateCancellationFeeRates({ ...valid, [DELIVERY_STATUS.RIDER_ARRIVING]: 1.5 }).error);
+    assert.ok(validateCancellationFeeRates({ ...valid, [DELIVERY_STATUS.CREATED]: -0.1 }).error);
+    assert.ok(validateCancellationFeeRates({ ...valid, [DELIVERY_STATUS.CREATED]: 'free' }).error);
+
+    const { [DELIVERY_STATUS.PENDING_PICKUP]: missing, ...partial } = valid;
+    assert.ok(validateCancellationFeeRates(partial).error);
+});
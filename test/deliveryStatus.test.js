@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    DELIVERY_STATUS,
+    OPEN_STATUSES,
+    HUB_STATUSES,
+    currentStatus,
+    isKnownStatus,
+    canTransition,
+    nextStatuses,
+    statusQuery,
+    transitionError
+} = require('../lib/deliveryStatus');
+
+const ROLES = ['user', 'rider', 'admin', 'system'];
+const STATUSES = Object.values(DELIVERY_STATUS);
+
+test('every status has an entry in the transition table', () => {
+    for (const status of STATUSES) {
+        assert.ok(isKnownStatus(status), status);
+    }
+    assert.equal(isKnownStatus('teleported'), false);
+});
+
+test('every transition leads to a known status and names known roles', () => {
+    for (const from of STATUSES) {
+        for (const role of ROLES) {
+            for (const to of nextStatuses(from, role)) {
+                assert.ok(isKnownStatus(to), `${from} -> ${to}`);
+            }
+        }
+    }
+});
+
+test('delivered, cancelled and returned parcels are final', () => {
+    for (const status of [DELIVERY_STATUS.DELIVERED, DELIVERY_STATUS.CANCELLED, DELIVERY_STATUS.RETURNED]) {
+        for (const role of ROLES) {
+            assert.deepEqual(nextStatuses(status, role), [], `${status} as ${role}`);
+        }
+    }
+});
+
+test('a parcel moves to pickup only through the payment or cash on delivery', () => {
+    assert.ok(canTransition(DELIVERY_STATUS.CREATED, DELIVERY_STATUS.PENDING_PICKUP, 'system'));
+    for (const role of ['user', 'rider', 'admin']) {
+        assert.equal(canTransition(DELIVERY_STATUS.CREATED, DELIVERY_STATUS.PENDING_PICKUP, role), false, role);
+    }
+});
+
+test('riders cannot skip steps', () => {
+    assert.equal(canTransition(DELIVERY_STATUS.DRIVER_ASSIGNED, DELIVERY_STATUS.DELIVERED, 'rider'), false);
+    assert.equal(canTransition(DELIVERY_STATUS.PENDING_PICKUP, DELIVERY_STATUS.PICKED_UP, 'rider'), false);
+    assert.ok(canTransition(DELIVERY_STATUS.PICKED_UP, DELIVERY_STATUS.IN_TRANSIT, 'rider'));
+    assert.ok(canTransition(DELIVERY_STATUS.IN_TRANSIT, DELIVERY_STATUS.DELIVERED, 'rider'));
+});
+
+test('failed attempts and the return to the sender are recorded by the system only', () => {
+    for (const role of ['user', 'rider', 'admin']) {
+        assert.equal(canTransition(DELIVERY_STATUS.IN_TRANSIT, DELIVERY_STATUS.DELIVERY_FAILED, role), false, role);
+        assert.equal(canTransition(DELIVERY_STATUS.DELIVERY_FAILED, DELIVERY_STATUS.RETURN_TO_SENDER, role), false, role);
+    }
+    assert.ok(canTransition(DELIVERY_STATUS.IN_TRANSIT, DELIVERY_STATUS.DELIVERY_FAILED, 'system'));
+    assert.ok(canTransition(DELIVERY_STATUS.DELIVERY_FAILED, DELIVERY_STATUS.RETURN_TO_SENDER, 'system'));
+});
+
+test('senders cancel only before the rider is on the way', () => {
+    assert.ok(canTransition(DELIVERY_STATUS.CREATED, DELIVERY_STATUS.CANCELLED, 'user'));
+    assert.ok(canTransition(DELIVERY_STATUS.DRIVER_ASSIGNED, DELIVERY_STATUS.CANCELLED, 'user'));
+    assert.equal(canTransition(DELIVERY_STATUS.RIDER_ARRIVING, DELIVERY_STATUS.CANCELLED, 'user'), false);
+    assert.equal(canTransition(DELIVERY_STATUS.PICKED_UP, DELIVERY_STATUS.CANCELLED, 'user'), false);
+});
+
+test('hubs are moved along by hub staff, a returning parcel is dropped at a hub by its rider', () => {
+    assert.ok(canTransition(DELIVERY_STATUS.AT_ORIGIN_HUB, DELIVERY_STATUS.HUB_TRANSFER, 'admin'));
+    assert.equal(canTransition(DELIVERY_STATUS.AT_ORIGIN_HUB, DELIVERY_STATUS.HUB_TRANSFER, 'rider'), false);
+    assert.ok(canTransition(DELIVERY_STATUS.RETURN_TO_SENDER, DELIVERY_STATUS.AT_ORIGIN_HUB, 'rider'));
+    for (const status of HUB_STATUSES) {
+        assert.equal(OPEN_STATUSES.includes(status), false, status);
+    }
+});
+
+test('parcels without a status are treated as created', () => {
+    assert.equal(currentStatus({}), DELIVERY_STATUS.CREATED);
+    assert.deepEqual(statusQuery(DELIVERY_STATUS.CREATED), { $in: [null, DELIVERY_STATUS.CREATED] });
+    assert.equal(statusQuery(DELIVERY_STATUS.IN_TRANSIT), DELIVERY_STATUS.IN_TRANSIT);
+});
+
+test('a rejected transition lists what the role may do instead', () => {
+    const error = transitionError(DELIVERY_STATUS.PICKED_UP, DELIVERY_STATUS.CANCELLED, 'rider');
+    assert.equal(error.from, DELIVERY_STATUS.PICKED_UP);
+    assert.equal(error.to, DELIVERY_STATUS.CANCELLED);
+    assert.deepEqual(error.allowed, nextStatuses(DELIVERY_STATUS.PICKED_UP, 'rider'));
+    assert.ok(error.allowed.includes(DELIVERY_STATUS.IN_TRANSIT));
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Stripe = require('stripe');
+
+const { verifyStripeEvent } = require('../lib/stripeEvents');
+
+// no request leaves the machine, signatures are checked locally
+const stripe = Stripe('sk_test_offline');
+const secret = 'whsec_test_secret';
+
+const payload = JSON.stringify({
+    id: 'evt_test',
+    object: 'event',
+    type: 'checkout.session.completed',
+    data: { object: { id: 'cs_test', metadata: { parcelId: 'p1' } } }
+});
+
+const signatureFor = (body, options = {}) => stripe.webhooks.generateTestHeaderString({ payload: body, secret, ...options });
+
+test('accepts an event signed with the endpoint secret', () => {
+    const { error, event } = verifyStripeEvent(stripe, Buffer.from(payload), signatureFor(payload), secret);
+    assert.equal(error, undefined);
+    assert.equal(event.type, 'checkout.session.completed');
+    assert.equal(event.data.object.metadata.parcelId, 'p1');
+});
+
+test('rejects a body changed after signing', () => {
+    const tampered = payload.replace('p1', 'p2');
+    const { error, event } = verifyStripeEvent(stripe, Buffer.from(tampered), signatureFor(payload), secret);
+    assert.ok(error);
+    assert.equal(event, undefined);
+});
+
+test('rejects a signature made with another secret', () => {
+    const signature = stripe.webhooks.generateTestHeaderString({ payload, secret: 'whsec_other' });
+    assert.ok(verifyStripeEvent(stripe, Buffer.from(payload), signature, secret).error);
+});
+
+test('rejects a replayed event older than the tolerance', () => {
+    const signature = signatureFor(payload, { timestamp: Math.floor(Date.now() / 1000) - 60 * 60 });
+    assert.match(verifyStripeEvent(stripe, Buffer.from(payload), signature, secret).error, /tolerance/i);
+});
+
+test('rejects a missing signature, body or secret', () => {
+    assert.ok(verifyStripeEvent(stripe, Buffer.from(payload), undefined, secret).error);
+    assert.ok(verifyStripeEvent(stripe, undefined, signatureFor(payload), secret).error);
+    assert.equal(verifyStripeEvent(stripe, Buffer.from(payload), signatureFor(payload), undefined).error, 'STRIPE_WEBHOOK_SECRET is not set');
+});
@@ -0,0 +1,43 @@
+// private hosts are refused unless WEBHOOK_ALLOW_PRIVATE_HOSTS is set, see test/webhooks.test.js for the opposite
+delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateWebhook, sendWebhook } = require('../lib/webhooks');
+
+const PRIVATE_URLS = [
+    'http://localhost/hooks',
+    'http://api.localhost/hooks',
+    'http://127.0.0.1:3000/hooks',
+    'http://10.1.2.3/hooks',
+    'http://172.16.0.1/hooks',
+    'http://192.168.1.10/hooks',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/hooks',
+    'http://[::ffff:127.0.0.1]/hooks'
+];
+
+test('webhooks cannot be registered for private hosts', () => {
+    for (const url of PRIVATE_URLS) {
+        assert.equal(validateWebhook({ url }).error, 'url must point to a public host', url);
+    }
+});
+
+test('public urls and known event filters are accepted', () => {
+    const webhook = validateWebhook({ url: 'https://merchant.example.com/hooks', events: ['tracking.*', 'payment.succeeded', 'payment.succeeded'] });
+    assert.equal(webhook.error, undefined);
+    assert.equal(webhook.url, 'https://merchant.example.com/hooks');
+    assert.deepEqual(webhook.events, ['tracking.*', 'payment.succeeded']);
+
+    assert.ok(validateWebhook({ url: 'ftp://merchant.example.com/hooks' }).error);
+    assert.ok(validateWebhook({ url: 'https://merchant.example.com/hooks', events: ['payment.disputed'] }).error);
+});
+
+test('a stored url pointing to a private host is not called', async () => {
+    for (const url of PRIVATE_URLS) {
+        const result = await sendWebhook(url, 'whsec_test', { id: 'evt_1', type: 'payment.succeeded' });
+        assert.equal(result.ok, false, url);
+        assert.equal(result.error, 'url must point to a public host', url);
+    }
+});
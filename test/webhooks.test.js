@@ -0,0 +1,147 @@
+// the receiver is a local http server, only reachable with private hosts allowed
+process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const {
+    MAX_WEBHOOK_ATTEMPTS,
+    WEBHOOK_RETRY_BASE_MS,
+    generateWebhookSecret,
+    signWebhookPayload,
+    retryDelay,
+    attemptOutcome,
+    sendWebhook
+} = require('../lib/webhooks');
+
+// what a merchant does with X-Askflow-Signature
+const verifySignature = (header, secret, body) => {
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const expected = crypto.createHmac('sha256', secret).update(`${parts.t}.${body}`).digest('hex');
+    return crypto.timingSafeEqual(Buffer.from(parts.v1, 'hex'), Buffer.from(expected, 'hex'));
+}
+
+// answers with the given status codes in turn and keeps every request it got
+const startReceiver = async (statusCodes) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            res.statusCode = statusCodes[Math.min(requests.length, statusCodes.length) - 1];
+            res.end('received');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { url: `http://127.0.0.1:${server.address().port}/hooks`, requests, close: () => server.close() };
+}
+
+const event = {
+    id: 'evt_1',
+    type: 'tracking.parcel_delivered',
+    createdAt: new Date(0).toISOString(),
+    data: { trackingId: 'TRK1' }
+}
+
+test('the signature is an hmac of the timestamp and the raw body', () => {
+    const secret = generateWebhookSecret();
+    assert.match(secret, /^whsec_[0-9a-f]{48}$/);
+
+    const body = JSON.stringify(event);
+    const header = signWebhookPayload(secret, 1700000000, body);
+    assert.match(header, /^t=1700000000,v1=[0-9a-f]{64}$/);
+    assert.ok(verifySignature(header, secret, body));
+    assert.equal(verifySignature(header, secret, body.replace('TRK1', 'TRK2')), false);
+    assert.equal(verifySignature(header, generateWebhookSecret(), body), false);
+});
+
+test('a delivery is posted signed with the event headers', async (t) => {
+    const receiver = await startReceiver([200]);
+    t.after(receiver.close);
+    const secret = generateWebhookSecret();
+
+    const result = await sendWebhook(receiver.url, secret, event);
+    assert.equal(result.ok, true);
+    assert.equal(result.statusCode, 200);
+    // a private receiver's answer is not stored
+    assert.equal(result.responseBody, null);
+
+    const [request] = receiver.requests;
+    assert.equal(request.headers['content-type'], 'application/json');
+    assert.equal(request.headers['x-askflow-event'], event.type);
+    assert.equal(request.headers['x-askflow-event-id'], event.id);
+    assert.deepEqual(JSON.parse(request.body), event);
+    assert.ok(verifySignature(request.headers['x-askflow-signature'], secret, request.body));
+});
+
+test('an error answer or an unreachable receiver is a failed attempt', async (t) => {
+    const receiver = await startReceiver([500]);
+    t.after(receiver.close);
+
+    const failed = await sendWebhook(receiver.url, generateWebhookSecret(), event);
+    assert.equal(failed.ok, false);
+    assert.equal(failed.statusCode, 500);
+
+    const redirected = await startReceiver([302]);
+    t.after(redirected.close);
+    assert.equal((await sendWebhook(redirected.url, generateWebhookSecret(), event)).ok, false);
+
+    // nothing listens on port 9 of the loopback address
+    const unreachable = await sendWebhook('http://127.0.0.1:9/hooks', generateWebhookSecret(), event);
+    assert.equal(unreachable.ok, false);
+    assert.equal(unreachable.statusCode, null);
+    assert.ok(unreachable.error);
+});
+
+test('failed attempts are retried with a doubling delay until the last one', () => {
+    assert.equal(retryDelay(1), WEBHOOK_RETRY_BASE_MS);
+    assert.equal(retryDelay(2), WEBHOOK_RETRY_BASE_MS * 2);
+    assert.equal(retryDelay(3), WEBHOOK_RETRY_BASE_MS * 4);
+
+    const now = Date.now();
+    assert.deepEqual(attemptOutcome(false, 1, now), { status: 'pending', nextAttemptAt: new Date(now + WEBHOOK_RETRY_BASE_MS) });
+    assert.equal(attemptOutcome(false, MAX_WEBHOOK_ATTEMPTS - 1, now).status, 'pending');
+    assert.deepEqual(attemptOutcome(false, MAX_WEBHOOK_ATTEMPTS, now), { status: 'failed' });
+    assert.deepEqual(attemptOutcome(true, MAX_WEBHOOK_ATTEMPTS, now), { status: 'delivered' });
+});
+
+test('a receiver that recovers gets the same event on the retry', async (t) => {
+    const receiver = await startReceiver([503, 500, 204]);
+    t.after(receiver.close);
+    const secret = generateWebhookSecret();
+
+    // what the retry sweep does with a stored delivery, without waiting out the delays
+    let outcome = { status: 'pending' };
+    let attempts = 0;
+    while (outcome.status === 'pending') {
+        attempts++;
+        const result = await sendWebhook(receiver.url, secret, event);
+        outcome = attemptOutcome(result.ok, attempts);
+    }
+
+    assert.equal(outcome.status, 'delivered');
+    assert.equal(attempts, 3);
+    assert.deepEqual(receiver.requests.map(request => request.headers['x-askflow-event-id']), [event.id, event.id, event.id]);
+    for (const request of receiver.requests) {
+        assert.ok(verifySignature(request.headers['x-askflow-signature'], secret, request.body));
+    }
+});
+
+test('a receiver that never recovers is given up after the last attempt', async (t) => {
+    const receiver = await startReceiver([500]);
+    t.after(receiver.close);
+
+    let outcome = { status: 'pending' };
+    let attempts = 0;
+    while (outcome.status === 'pending') {
+        attempts++;
+        const result = await sendWebhook(receiver.url, generateWebhookSecret(), event);
+        outcome = attemptOutcome(result.ok, attempts);
+    }
+
+    assert.equal(outcome.status, 'failed');
+    assert.equal(receiver.requests.length, MAX_WEBHOOK_ATTEMPTS);
+});